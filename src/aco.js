@@ -0,0 +1,168 @@
+/**
+ * MOLB Game Tool - Ant Colony Optimization
+ * Ants load stations guided by pheromone on task-to-station decisions
+ * and the positional weight of each task
+ */
+
+import { Station, Solution } from './models.js';
+import { getAvailableTasks, getPositionalWeight } from './precedence.js';
+import { canAddTaskToStation, validateSolution, assignReplicas, getDueTasks } from './feasibility.js';
+import { calculateAllScores } from './objectives.js';
+import { fastNonDominatedSort } from './pareto.js';
+import { createRandom } from './random.js';
+
+/**
+ * Pheromone update strategies
+ */
+export const PheromoneUpdate = {
+    WEIGHTED: 'weighted', // iteration-best ant deposits its weighted score
+    PARETO: 'pareto'      // every ant deposits according to its Pareto rank
+};
+
+/**
+ * Pick an item with probability proportional to its weight
+ */
+function rouletteSelect(items, weights, random) {
+    const total = weights.reduce((a, b) => a + b, 0);
+    let r = random() * total;
+    for (let i = 0; i < items.length; i++) {
+        r -= weights[i];
+        if (r <= 0) return items[i];
+    }
+    return items[items.length - 1];
+}
+
+/**
+ * Let one ant build a complete solution
+ */
+function constructSolution(config, pheromone, heuristicInfo, params, random) {
+    const stations = [];
+    const assigned = new Set();
+    let station = new Station('S1');
+
+    while (assigned.size < config.tasks.size) {
+        const available = getAvailableTasks(config, assigned);
+        if (available.length === 0) break;
+
+        let fitting = available.filter(t =>
+            canAddTaskToStation(t, station, config, assigned, stations.length + 1).canAdd
+        );
+        // Tasks that cannot go any later than this station are placed first
+        const due = getDueTasks(fitting, config, stations.length + 1);
+        if (due.length > 0) fitting = due;
+
+        if (fitting.length === 0) {
+            // A task that does not fit an empty station can never be placed
+            if (station.tasks.length === 0) break;
+            stations.push(station);
+            station = new Station(`S${stations.length + 1}`);
+            continue;
+        }
+
+        const position = stations.length;
+        const weights = fitting.map(t =>
+            Math.pow(pheromone.get(t.id)[position], params.alpha) *
+            Math.pow(heuristicInfo.get(t.id), params.beta)
+        );
+
+        const task = rouletteSelect(fitting, weights, random);
+        station.addTask(task);
+        assigned.add(task.id);
+    }
+
+    if (station.tasks.length > 0) {
+        stations.push(station);
+    }
+
+    return new Solution(assignReplicas(stations, config.taktTime));
+}
+
+/**
+ * Add pheromone on every task-to-station decision of a solution
+ */
+function deposit(pheromone, solution, amount) {
+    solution.stations.forEach((station, position) => {
+        station.tasks.forEach(task => {
+            pheromone.get(task.id)[position] += amount;
+        });
+    });
+}
+
+/**
+ * Run the ant colony and return every distinct valid solution found
+ * @param {ProblemConfig} config
+ * @param {Object} options
+ * @param {number} options.ants - ants per iteration
+ * @param {number} options.iterations
+ * @param {number} options.alpha - pheromone influence
+ * @param {number} options.beta - positional weight influence
+ * @param {number} options.evaporation - fraction of pheromone lost per iteration
+ * @param {string} options.update - PheromoneUpdate
+ * @param {number} options.seed - same seed and config give the same solutions
+ * @returns {Solution[]}
+ */
+export function runAntColony(config, options = {}) {
+    const {
+        ants = 10,
+        iterations = 20,
+        alpha = 1,
+        beta = 2,
+        evaporation = 0.1,
+        update = PheromoneUpdate.WEIGHTED,
+        seed = 1
+    } = options;
+
+    const random = createRandom(seed);
+    const params = { alpha, beta };
+
+    const memo = new Map();
+    const heuristicInfo = new Map();
+    const pheromone = new Map();
+    for (const taskId of config.tasks.keys()) {
+        heuristicInfo.set(taskId, Math.max(1, getPositionalWeight(config, taskId, memo)));
+        // At most one station per task, so positions never exceed the task count
+        pheromone.set(taskId, new Array(config.tasks.size).fill(1));
+    }
+
+    const solutions = [];
+    const seenHashes = new Set();
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const colony = [];
+
+        for (let a = 0; a < ants; a++) {
+            const solution = constructSolution(config, pheromone, heuristicInfo, params, random);
+            validateSolution(solution, config);
+            if (!solution.isValid) continue;
+
+            calculateAllScores(solution, config);
+            colony.push(solution);
+
+            const hash = solution.getHash();
+            if (!seenHashes.has(hash)) {
+                seenHashes.add(hash);
+                solutions.push(solution);
+            }
+        }
+
+        // Evaporate
+        for (const trail of pheromone.values()) {
+            for (let p = 0; p < trail.length; p++) {
+                trail[p] *= (1 - evaporation);
+            }
+        }
+
+        if (colony.length === 0) continue;
+
+        if (update === PheromoneUpdate.PARETO) {
+            fastNonDominatedSort(colony).forEach((front, rank) => {
+                front.forEach(solution => deposit(pheromone, solution, 1 / (rank + 1)));
+            });
+        } else {
+            const best = colony.reduce((a, b) => (b.scores.weighted > a.scores.weighted ? b : a));
+            deposit(pheromone, best, best.scores.weighted);
+        }
+    }
+
+    return solutions;
+}
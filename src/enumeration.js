@@ -0,0 +1,191 @@
+/**
+ * MOLB Game Tool - Exhaustive Enumeration
+ * Enumerates every feasible station assignment of a small instance to get the exact Pareto front,
+ * and compares a heuristic front against it
+ */
+
+import { Station, Solution } from './models.js';
+import { getAvailableTasks, hasCycles, topologicalSort } from './precedence.js';
+import { validateSolution, zoningConflict, zoningAllows, variantsFit } from './feasibility.js';
+import { meetsServiceLevel } from './stochastic.js';
+import { calculateAllScores } from './objectives.js';
+import { findParetoFront, hypervolume } from './pareto.js';
+
+/**
+ * Record the partial label of a state, unless an existing label is at least as good
+ * All three scores only depend on the station count, the sum of squared station times
+ * and the summed tool variety, so with the same assigned tasks and station count a label
+ * with a lower sum of squares and tool variety can never lead to a worse completion.
+ * Equal labels (e.g. the same stations in a different order) are pruned as symmetric.
+ * @returns {boolean} true if the state is dominated and can be skipped
+ */
+function isDominatedLabel(labels, key, sumSquares, toolSum) {
+    const existing = labels.get(key) || [];
+
+    if (existing.some(([sq, tools]) => sq <= sumSquares && tools <= toolSum)) {
+        return true;
+    }
+
+    labels.set(key, [
+        ...existing.filter(([sq, tools]) => !(sumSquares <= sq && toolSum <= tools)),
+        [sumSquares, toolSum]
+    ]);
+    return false;
+}
+
+/**
+ * Enumerate all feasible assignments and return the exact Pareto front
+ * Station loads are built from getAvailableTasks in topological order, so every task set is
+ * generated once and precedence holds within and between stations. Dominated and symmetric
+ * partial assignments are pruned (see isDominatedLabel).
+ * @param {ProblemConfig} config - with weights, taktTime and maxStdev set
+ * @param {Object} options
+ * @param {number} options.maxTasks - refuse larger instances
+ * @param {number} options.timeLimit - milliseconds
+ * @returns {{paretoFront: Solution[], assignments: number, nodes: number, isComplete: boolean, elapsedMs: number, error: string|null}}
+ */
+export function enumerateParetoFront(config, options = {}) {
+    const { maxTasks = 20, timeLimit = 20000 } = options;
+
+    const start = Date.now();
+    const result = {
+        paretoFront: [],
+        assignments: 0,
+        nodes: 0,
+        isComplete: false,
+        elapsedMs: 0,
+        error: null
+    };
+
+    const tasks = config.getTaskList();
+    if (tasks.length === 0) {
+        result.error = 'Geen taken om te balanceren';
+    } else if (tasks.length > maxTasks) {
+        result.error = `Te veel taken voor enumeratie (${tasks.length} > ${maxTasks})`;
+    } else if (hasCycles(config)) {
+        result.error = 'Precedence graph bevat een cyclus';
+    } else if (tasks.some(t => t.processingTime > config.taktTime)) {
+        result.error = 'Een taak is langer dan de takt-tijd';
+    }
+
+    if (result.error) {
+        result.elapsedMs = Date.now() - start;
+        return result;
+    }
+
+    const rank = new Map(topologicalSort(config).map((t, i) => [t.id, i]));
+    const labels = new Map(); // "mask:stations" -> [[sumSquares, toolSum]]
+    const stations = [];      // task lists of the closed stations on the current path
+    const completions = [];
+    let aborted = false;
+
+    const outOfTime = () => {
+        if (result.nodes % 1000 === 0 && Date.now() - start > timeLimit) aborted = true;
+        return aborted;
+    };
+
+    // Open a new station, or record the assignment when every task is placed
+    const placeStations = (assigned, mask, sumSquares, toolSum) => {
+        if (isDominatedLabel(labels, `${mask}:${stations.length}`, sumSquares, toolSum)) return;
+
+        if (assigned.size === tasks.length) {
+            completions.push(stations.map(load => [...load]));
+            return;
+        }
+
+        fillStation(assigned, mask, [], 0, new Map(), -1, sumSquares, toolSum);
+    };
+
+    // Add tasks of increasing topological rank to the open station; every prefix may close it
+    const fillStation = (assigned, mask, load, time, toolCounts, lastRank, sumSquares, toolSum) => {
+        result.nodes++;
+        if (outOfTime()) return;
+
+        for (const task of getAvailableTasks(config, assigned)) {
+            const taskRank = rank.get(task.id);
+            if (taskRank <= lastRank) continue;
+            if (time + task.processingTime > config.taktTime) continue;
+
+            const count = (toolCounts.get(task.toolType) || 0) + 1;
+            const limit = config.toolLimits.get(task.toolType);
+            if (limit !== undefined && count > limit) continue;
+            if (zoningConflict(task, load, config, assigned)) continue;
+            if (!config.isStationAllowed(task.id, stations.length + 1)) continue;
+
+            // Labels only compare average times, so an overloaded variant or a missed service
+            // level must stop the load here; an invalid label could otherwise prune a valid one
+            const candidate = [...load, task];
+            if (!variantsFit(candidate, config, config.taktTime)) continue;
+            if (!meetsServiceLevel(candidate, config.taktTime, config)) continue;
+
+            assigned.add(task.id);
+            load.push(task);
+            toolCounts.set(task.toolType, count);
+            const stationTime = time + task.processingTime;
+            const variety = new Set(load.map(t => t.toolType || 'None')).size;
+
+            // Close the station here (unless a must-share partner is still missing)...
+            if (zoningAllows(load, config)) {
+                stations.push(load);
+                placeStations(assigned, mask | (1 << taskRank),
+                    sumSquares + stationTime * stationTime, toolSum + variety);
+                stations.pop();
+            }
+
+            // ...or keep adding tasks to it
+            fillStation(assigned, mask | (1 << taskRank), load, stationTime, toolCounts,
+                taskRank, sumSquares, toolSum);
+
+            toolCounts.set(task.toolType, count - 1);
+            load.pop();
+            assigned.delete(task.id);
+
+            if (aborted) return;
+        }
+    };
+
+    placeStations(new Set(), 0, 0, 0);
+
+    const solutions = completions.map(loads => {
+        const solution = new Solution(loads.map((load, i) => {
+            const station = new Station(`WS${i + 1}`);
+            load.forEach(t => station.addTask(t));
+            return station;
+        }));
+        validateSolution(solution, config);
+        calculateAllScores(solution, config);
+        return solution;
+    }).filter(s => s.isValid);
+
+    result.paretoFront = findParetoFront(solutions);
+    result.paretoFront.sort((a, b) => b.scores.weighted - a.scores.weighted);
+    result.assignments = completions.length;
+    result.isComplete = !aborted;
+    result.elapsedMs = Date.now() - start;
+
+    return result;
+}
+
+/**
+ * Compare a heuristic front with the exact front in objective space
+ * @param {Solution[]} exactFront
+ * @param {Solution[]} front - scored with the same config as the exact front
+ * @returns {{coverage: number, found: number, missing: Solution[], hypervolume: number, exactHypervolume: number, hypervolumeGap: number}}
+ */
+export function compareFronts(exactFront, front) {
+    const same = (a, b) => ['economic', 'social', 'environmental']
+        .every(key => Math.abs(a.scores[key] - b.scores[key]) < 1e-9);
+
+    const missing = exactFront.filter(exact => !front.some(sol => same(exact, sol)));
+    const exactHypervolume = hypervolume(exactFront);
+    const heuristicHypervolume = hypervolume(front);
+
+    return {
+        coverage: exactFront.length > 0 ? (exactFront.length - missing.length) / exactFront.length : 1,
+        found: exactFront.length - missing.length,
+        missing,
+        hypervolume: heuristicHypervolume,
+        exactHypervolume,
+        hypervolumeGap: exactHypervolume > 0 ? (exactHypervolume - heuristicHypervolume) / exactHypervolume : 0
+    };
+}
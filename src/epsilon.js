@@ -0,0 +1,168 @@
+/**
+ * MOLB Game Tool - Epsilon-Constraint
+ * Maximizes one objective while sweeping lower bounds on the other two,
+ * giving a systematically spaced Pareto front
+ */
+
+import { validateSolution } from './feasibility.js';
+import { calculateAllScores } from './objectives.js';
+import { findParetoFront } from './pareto.js';
+import { generateAllSolutions } from './heuristics.js';
+import { generateTargetSolution, computeStationRange } from './sampling.js';
+import { improveSolution, AcceptanceType } from './local-search.js';
+import { createRandom } from './random.js';
+
+const OBJECTIVES = ['economic', 'social', 'environmental'];
+
+// Objective loss per unit of bound violation; large enough that feasibility always wins
+const PENALTY = 10;
+
+/**
+ * Build a pool of valid, scored starting solutions from the construction heuristics
+ */
+function buildStartPool(config, options, stationRange) {
+    const { seed, maxStdev, maxTime, toolVariety } = options;
+    const random = createRandom(seed);
+    const candidates = generateAllSolutions(config, { iterations: 100, seed });
+
+    for (let numStations = stationRange.min; numStations <= stationRange.max; numStations++) {
+        for (let i = 0; i < 10; i++) {
+            const sol = generateTargetSolution(config, numStations, random, maxStdev, maxTime, toolVariety);
+            if (sol) candidates.push(sol);
+        }
+    }
+
+    const pool = [];
+    const seen = new Set();
+    for (const sol of candidates) {
+        if (seen.has(sol.getHash())) continue;
+        seen.add(sol.getHash());
+
+        validateSolution(sol, config);
+        if (!sol.isValid) continue;
+        calculateAllScores(sol, config);
+        pool.push(sol);
+    }
+    return pool;
+}
+
+/**
+ * Total amount by which a solution falls short of the bounds
+ */
+function violation(solution, bounds) {
+    return Object.entries(bounds).reduce(
+        (sum, [key, bound]) => sum + Math.max(0, bound - solution.scores[key]), 0);
+}
+
+/**
+ * Single-objective solver for one grid cell: maximize the primary score subject to the bounds
+ * Starts from the best pool member under a penalty objective and improves it with local search.
+ * @returns {Solution|null} the best solution meeting all bounds, or null if none was found
+ */
+function solveCell(config, pool, primary, bounds, options) {
+    const objective = (s) => s.scores[primary] - PENALTY * violation(s, bounds);
+
+    const start = pool.reduce((a, b) => (objective(b) > objective(a) ? b : a));
+    const result = improveSolution(start, config, {
+        acceptance: options.acceptance,
+        iterations: options.iterations,
+        seed: options.seed,
+        objective
+    });
+
+    const feasible = [...pool, result.solution].filter(s => violation(s, bounds) === 0);
+    if (feasible.length === 0) return null;
+
+    return feasible.reduce((a, b) => (b.scores[primary] > a.scores[primary] ? b : a));
+}
+
+/**
+ * Run the epsilon-constraint method over a grid of bounds on the two secondary objectives
+ * The bounds run from the lowest to just below the highest score seen in the start pool.
+ * @param {ProblemConfig} config - with weights, taktTime and maxStdev set
+ * @param {Object} options
+ * @param {string} options.primary - 'economic', 'social' or 'environmental'
+ * @param {number} options.gridSize - bound levels per secondary objective
+ * @param {number} options.iterations - local-search iterations per grid cell
+ * @param {string} options.acceptance - AcceptanceType for the local search
+ * @param {number} options.seed
+ * @param {number} options.maxStdev
+ * @param {number} options.maxTime
+ * @param {number} options.toolVariety
+ * @param {number} options.minStations - station range of the start pool (see computeStationRange)
+ * @param {number} options.maxStations
+ * @param {Function} onProgress - called after each cell with {done, total, solutions, paretoFront}
+ * @returns {{solutions: Solution[], paretoFront: Solution[], grid: Object, infeasibleCells: number, stationRange: Object, error: string|null}}
+ */
+export function runEpsilonConstraint(config, options, onProgress = () => {}) {
+    const {
+        primary = 'economic',
+        gridSize = 5,
+        iterations = 300,
+        acceptance = AcceptanceType.HILL_CLIMBING,
+        seed = 1
+    } = options;
+
+    const secondary = OBJECTIVES.filter(key => key !== primary);
+    const result = { solutions: [], paretoFront: [], grid: null, infeasibleCells: 0, stationRange: null, error: null };
+
+    result.stationRange = computeStationRange(config, options);
+    const pool = buildStartPool(config, { ...options, seed }, result.stationRange);
+    if (pool.length === 0) {
+        result.error = 'Geen geldige startoplossingen gevonden';
+        return result;
+    }
+
+    // Bound levels per secondary objective
+    const levels = {};
+    for (const key of secondary) {
+        const values = pool.map(s => s.scores[key]);
+        const lo = Math.min(...values);
+        const hi = Math.max(...values);
+        levels[key] = Array.from({ length: gridSize }, (_, g) => lo + (hi - lo) * g / gridSize);
+    }
+
+    const [first, second] = secondary;
+    const cells = [];
+    const found = new Map(); // hash -> solution
+    const total = gridSize * gridSize;
+
+    for (const a of levels[first]) {
+        for (const b of levels[second]) {
+            const bounds = { [first]: a, [second]: b };
+            const solution = solveCell(config, pool, primary, bounds, { acceptance, iterations, seed: seed + cells.length });
+
+            cells.push({ bounds, value: null });
+
+            if (solution && !found.has(solution.getHash())) {
+                found.set(solution.getHash(), solution);
+                // Later cells may start from this solution
+                if (!pool.includes(solution)) pool.push(solution);
+            }
+
+            onProgress({
+                done: cells.length,
+                total,
+                solutions: found.size,
+                paretoFront: findParetoFront(Array.from(found.values()))
+            });
+        }
+    }
+
+    result.solutions = Array.from(found.values());
+
+    // Each cell shows the best returned solution within its bounds: the one solved for it, or one
+    // found for a tighter cell that beats it
+    for (const cell of cells) {
+        const feasible = result.solutions.filter(s => violation(s, cell.bounds) === 0);
+        if (feasible.length > 0) {
+            cell.value = Math.max(...feasible.map(s => s.scores[primary]));
+        }
+    }
+
+    result.paretoFront = findParetoFront(result.solutions);
+    result.infeasibleCells = cells.filter(c => c.value === null).length;
+    result.grid = { primary, rows: first, columns: second, levels, cells };
+
+    return result;
+}
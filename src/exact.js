@@ -0,0 +1,514 @@
+/**
+ * MOLB Game Tool - Exact Solver
+ * Station-oriented branch-and-bound (SALOME/BB-style) for SALBP-1,
+ * and cycle-time minimization over a fixed station count (SALBP-2)
+ */
+
+import { Station, Solution, ZoningType } from './models.js';
+import { hasCycles } from './precedence.js';
+import { validateSolution } from './feasibility.js';
+import { stationLowerBound, binPackingBound, toolLowerBound } from './lower-bounds.js';
+
+/**
+ * Must-share groups: task indices linked by SAME zoning, sorted; a single task is its own group
+ */
+function buildGroups(config, index, n) {
+    const groups = Array.from({ length: n }, (_, i) => [i]);
+    for (const { a, b, type } of config.zoning) {
+        if (type !== ZoningType.SAME || !index.has(a) || !index.has(b)) continue;
+        const merged = [...new Set([...groups[index.get(a)], ...groups[index.get(b)]])].sort((x, y) => x - y);
+        merged.forEach(i => { groups[i] = merged; });
+    }
+    return groups;
+}
+
+/**
+ * Convert the config into flat arrays so the search does not touch Maps
+ * A must-share group is placed as one item, and must-separate partners never share a load.
+ * Station restrictions depend on the station number, so a restricted instance is searched with
+ * the station count as part of the state, and only the lower bound can prove it optimal.
+ * @param {ProblemConfig} config
+ * @returns {Object} instance
+ */
+function buildInstance(config) {
+    const tasks = config.getTaskList();
+    const index = new Map(tasks.map((t, i) => [t.id, i]));
+
+    return {
+        tasks,
+        times: tasks.map(t => t.processingTime),
+        tools: tasks.map(t => t.toolType),
+        preds: tasks.map(t => (config.precedence.get(t.id) || [])
+            .filter(p => index.has(p))
+            .map(p => index.get(p))),
+        bits: tasks.map((t, i) => 1n << BigInt(i)),
+        toolLimits: config.toolLimits,
+        groups: buildGroups(config, index, tasks.length),
+        apart: tasks.map(t => config.getZoningPartners(t.id, ZoningType.APART)
+            .filter(p => index.has(p))
+            .map(p => index.get(p))),
+        // Mixed-model: time of every task per variant, each of which must fit the cycle time
+        variantTimes: [...config.variants.keys()].map(v => tasks.map(t => config.getTaskTime(t, v))),
+        restricted: tasks.map(t => config.stationRestrictions.has(t.id)),
+        isAllowed: (i, stationNumber) => config.isStationAllowed(tasks[i].id, stationNumber),
+        exhaustive: config.stationRestrictions.size === 0
+    };
+}
+
+/**
+ * Check that every single task fits into an empty station
+ * @returns {string|null} reason when the instance cannot be solved
+ */
+function findBlockingTask(instance, cycleTime) {
+    for (let i = 0; i < instance.tasks.length; i++) {
+        const task = instance.tasks[i];
+        const time = Math.max(instance.times[i], ...instance.variantTimes.map(vt => vt[i]));
+        if (time > cycleTime) {
+            return `Taak ${task.id} (${time}s) past niet binnen ${cycleTime}s`;
+        }
+        const limit = instance.toolLimits.get(instance.tools[i]);
+        if (limit !== undefined && limit < 1) {
+            return `Taak ${task.id}: gereedschap ${instance.tools[i]} is niet toegestaan`;
+        }
+        const group = instance.groups[i];
+        if (group[0] === i && group.reduce((sum, m) => sum + instance.times[m], 0) > cycleTime) {
+            return `Taken ${group.map(m => instance.tasks[m].id).join(', ')} moeten samen, maar passen niet binnen ${cycleTime}s`;
+        }
+    }
+    return null;
+}
+
+// Per search node: at most this many loads are branched on, and the load enumeration stops
+// after this many steps (both keep wide cycle times on sparse graphs from exploding)
+const MAX_LOADS_PER_NODE = 1000;
+const MAX_LOAD_STEPS = 50000;
+
+/**
+ * Depth-first branch-and-bound over maximal station loads
+ * A search that had to cut a load enumeration short, or that ran on an instance whose loads are
+ * not exhaustive (see buildInstance), is reported as aborted, since it cannot prove its incumbent optimal.
+ * @param {Object} instance - from buildInstance
+ * @param {number} cycleTime
+ * @param {Object} limits
+ * @param {number} limits.upperBound - only solutions with fewer stations are accepted
+ * @param {number} limits.targetStations - stop as soon as a solution this small is found
+ * @param {number} limits.deadline - Date.now() timestamp to abort at
+ * @param {number} limits.maxNodes
+ * @returns {{loads: number[][]|null, nodes: number, aborted: boolean}}
+ */
+function runSearch(instance, cycleTime, limits) {
+    const { times, tools, preds, bits, toolLimits, groups, apart, variantTimes, restricted, isAllowed } = instance;
+    const n = times.length;
+    const assigned = new Uint8Array(n);
+    const inLoad = new Uint8Array(n);
+    const visited = new Map(); // assigned-set key -> fewest stations used to reach it
+
+    let best = limits.upperBound;
+    let bestLoads = null;
+    let nodes = 0;
+    let aborted = false;
+    let truncated = false;
+    const path = [];
+
+    const remainingBound = () => {
+        const remTimes = [];
+        const remTools = [];
+        for (let i = 0; i < n; i++) {
+            if (!assigned[i]) {
+                remTimes.push(times[i]);
+                remTools.push(tools[i]);
+            }
+        }
+        return Math.max(stationLowerBound(remTimes, cycleTime), toolLowerBound(remTools, toolLimits));
+    };
+
+    // Enumerate loads for station `stationNumber` that cannot be extended by any other available task
+    const enumerateLoads = (stationNumber) => {
+        const loads = [];
+        const seen = new Set();
+        const load = [];
+        const toolCount = new Map();
+        const variantLoad = variantTimes.map(() => 0);
+        let steps = 0;
+        let stopped = false;
+
+        // Whether a must-share group can join the open load
+        const fits = (members, time) => {
+            const added = new Map();
+            for (const m of members) {
+                time += times[m];
+                if (time > cycleTime) return false;
+
+                const limit = toolLimits.get(tools[m]);
+                const count = (toolCount.get(tools[m]) || 0) + (added.get(tools[m]) || 0) + 1;
+                if (limit !== undefined && count > limit) return false;
+                added.set(tools[m], (added.get(tools[m]) || 0) + 1);
+
+                if (!preds[m].every(p => assigned[p] || members.includes(p))) return false;
+                if (restricted[m] && !isAllowed(m, stationNumber)) return false;
+                if (apart[m].some(p => inLoad[p] || members.includes(p))) return false;
+            }
+            return variantTimes.every((vt, v) =>
+                members.reduce((sum, m) => sum + vt[m], variantLoad[v]) <= cycleTime);
+        };
+
+        const extend = (key, time) => {
+            steps++;
+            if ((steps & 255) === 0 && Date.now() > limits.deadline) {
+                aborted = true;
+            }
+            if (steps > MAX_LOAD_STEPS || loads.length >= MAX_LOADS_PER_NODE) {
+                truncated = true;
+                stopped = true;
+            }
+            if (aborted || stopped) return;
+
+            let extended = false;
+
+            for (let i = 0; i < n; i++) {
+                // A group is tried once, through its first task
+                const members = groups[i];
+                if (assigned[i] || members[0] !== i || !fits(members, time)) continue;
+
+                extended = true;
+                let nextKey = key;
+                let nextTime = time;
+                members.forEach(m => {
+                    nextKey |= bits[m];
+                    nextTime += times[m];
+                });
+                if (seen.has(nextKey)) continue;
+                seen.add(nextKey);
+
+                members.forEach(m => {
+                    assigned[m] = 1;
+                    inLoad[m] = 1;
+                    load.push(m);
+                    toolCount.set(tools[m], (toolCount.get(tools[m]) || 0) + 1);
+                    variantTimes.forEach((vt, v) => { variantLoad[v] += vt[m]; });
+                });
+
+                extend(nextKey, nextTime);
+
+                members.forEach(m => {
+                    toolCount.set(tools[m], toolCount.get(tools[m]) - 1);
+                    variantTimes.forEach((vt, v) => { variantLoad[v] -= vt[m]; });
+                    load.pop();
+                    inLoad[m] = 0;
+                    assigned[m] = 0;
+                });
+
+                if (aborted || stopped) return;
+            }
+
+            if (!extended && load.length > 0) {
+                loads.push({ tasks: [...load], time });
+            }
+        };
+
+        extend(0n, 0);
+
+        // Fullest stations first so the first dive gives a good upper bound
+        loads.sort((a, b) => b.time - a.time);
+        return loads.map(l => l.tasks);
+    };
+
+    const search = (key, remaining, stationsUsed) => {
+        if (aborted) return;
+
+        nodes++;
+        if ((nodes & 255) === 0 && (Date.now() > limits.deadline || nodes > limits.maxNodes)) {
+            aborted = true;
+            return;
+        }
+
+        if (remaining === 0) {
+            if (stationsUsed < best) {
+                best = stationsUsed;
+                bestLoads = path.map(l => [...l]);
+            }
+            return;
+        }
+
+        if (stationsUsed + remainingBound() >= best) return;
+
+        // Dominance: the same set of tasks was already reached with no more stations
+        // (with restrictions, only with as many stations: the next station number matters)
+        const state = instance.exhaustive ? key : `${key}:${stationsUsed}`;
+        const previous = visited.get(state);
+        if (previous !== undefined && previous <= stationsUsed) return;
+        visited.set(state, stationsUsed);
+
+        const loads = enumerateLoads(stationsUsed + 1);
+        if (aborted) return;
+
+        for (const load of loads) {
+            let nextKey = key;
+            load.forEach(i => {
+                assigned[i] = 1;
+                nextKey |= bits[i];
+            });
+            path.push(load);
+
+            search(nextKey, remaining - load.length, stationsUsed + 1);
+
+            path.pop();
+            load.forEach(i => { assigned[i] = 0; });
+
+            if (aborted || best <= limits.targetStations) return;
+        }
+    };
+
+    search(0n, n, 0);
+
+    return { loads: bestLoads, nodes, aborted: aborted || truncated || !instance.exhaustive };
+}
+
+/**
+ * Turn station loads (task indices) into a Solution
+ */
+function loadsToSolution(instance, loads) {
+    const stations = loads.map((load, s) => {
+        const station = new Station(`WS${s + 1}`);
+        load.forEach(i => station.addTask(instance.tasks[i]));
+        return station;
+    });
+    return new Solution(stations);
+}
+
+/**
+ * Validate a solution of the load search; the search does not model every constraint of the config
+ * (line layouts, workers), so a solution that breaks one is not reported at all
+ * @returns {string|null} reason the solution is rejected
+ */
+function rejectReason(solution, config) {
+    validateSolution(solution, config);
+    return solution.isValid ? null : `Exacte oplossing voldoet niet: ${solution.validationErrors[0]}`;
+}
+
+/**
+ * Find a solution with the provably minimal number of stations (SALBP-1)
+ * Respects the takt time and tool limits from the config, like checkFeasibility
+ * @param {ProblemConfig} config
+ * @param {Object} options
+ * @param {number} options.timeLimit - milliseconds before the search stops early
+ * @param {number} options.maxNodes - node budget before the search stops early
+ * @returns {{solution: Solution|null, numStations: number|null, lowerBound: number, gap: number|null, isOptimal: boolean, nodes: number, elapsedMs: number, error: string|null}}
+ */
+export function solveMinStations(config, options = {}) {
+    const {
+        timeLimit = 5000,
+        maxNodes = 2000000
+    } = options;
+
+    const start = Date.now();
+    const instance = buildInstance(config);
+    const cycleTime = config.taktTime;
+
+    const lowerBound = instance.tasks.length === 0 ? 0 : Math.max(
+        stationLowerBound(instance.times, cycleTime),
+        binPackingBound(instance.times, cycleTime),
+        toolLowerBound(instance.tools, instance.toolLimits),
+        // A task that may not go before station k needs at least k stations
+        ...instance.tasks.map(t => config.getStationWindow(t.id).earliest)
+    );
+
+    const result = {
+        solution: null,
+        numStations: null,
+        lowerBound,
+        gap: null,
+        isOptimal: false,
+        nodes: 0,
+        elapsedMs: 0,
+        error: null
+    };
+
+    result.error = hasCycles(config)
+        ? 'Precedence graph bevat een cyclus'
+        : findBlockingTask(instance, cycleTime);
+
+    if (result.error) {
+        result.elapsedMs = Date.now() - start;
+        return result;
+    }
+
+    const search = runSearch(instance, cycleTime, {
+        upperBound: instance.tasks.length + 1,
+        targetStations: lowerBound,
+        deadline: start + timeLimit,
+        maxNodes
+    });
+
+    result.nodes = search.nodes;
+    result.elapsedMs = Date.now() - start;
+
+    const solution = search.loads && loadsToSolution(instance, search.loads);
+    if (solution) result.error = rejectReason(solution, config);
+
+    if (solution && !result.error) {
+        result.solution = solution;
+        result.numStations = search.loads.length;
+        result.isOptimal = !search.aborted || result.numStations === lowerBound;
+        // An exhausted search proves the incumbent optimal, otherwise compare against the root bound
+        const provenBound = result.isOptimal ? result.numStations : lowerBound;
+        result.lowerBound = provenBound;
+        result.gap = (result.numStations - provenBound) / result.numStations;
+    }
+
+    return result;
+}
+
+/**
+ * Split stations until the solution has the requested number of stations
+ * Moving the last task of a station into a new station right after it keeps precedence intact
+ * @param {Solution} solution
+ * @param {number} numStations
+ */
+function padStations(solution, numStations) {
+    while (solution.stations.length < numStations) {
+        let index = -1;
+        solution.stations.forEach((station, i) => {
+            if (station.tasks.length > 1 &&
+                (index === -1 || station.totalTime > solution.stations[index].totalTime)) {
+                index = i;
+            }
+        });
+        if (index === -1) break;
+
+        const source = solution.stations[index];
+        const rest = new Station(source.id);
+        source.tasks.slice(0, -1).forEach(t => rest.addTask(t));
+        const split = new Station(`${source.id}b`);
+        split.addTask(source.tasks[source.tasks.length - 1]);
+
+        solution.stations.splice(index, 1, rest, split);
+    }
+
+    solution.stations.forEach((station, i) => { station.id = `WS${i + 1}`; });
+}
+
+/**
+ * Find the minimal cycle time for a fixed number of stations (SALBP-2)
+ * Bisects over integer cycle times with the branch-and-bound as feasibility oracle.
+ * The returned solution carries `cycleTime`, which calculateAllScores uses instead of the takt time.
+ * @param {ProblemConfig} config
+ * @param {number} numStations - number of workstations to balance over
+ * @param {Object} options
+ * @param {number} options.timeLimit - milliseconds for the whole bisection
+ * @param {number} options.maxNodes - node budget per feasibility probe
+ * @returns {{solution: Solution|null, cycleTime: number|null, lowerBound: number, isOptimal: boolean, probes: number, nodes: number, elapsedMs: number, error: string|null}}
+ */
+export function solveMinCycleTime(config, numStations, options = {}) {
+    const {
+        timeLimit = 10000,
+        maxNodes = 500000
+    } = options;
+
+    const start = Date.now();
+    const deadline = start + timeLimit;
+    const instance = buildInstance(config);
+
+    const result = {
+        solution: null,
+        cycleTime: null,
+        lowerBound: 0,
+        isOptimal: false,
+        probes: 0,
+        nodes: 0,
+        elapsedMs: 0,
+        error: null
+    };
+
+    if (instance.tasks.length === 0) {
+        result.error = 'Geen taken om te balanceren';
+    } else if (!(numStations >= 1)) {
+        result.error = 'Aantal stations moet minstens 1 zijn';
+    } else if (hasCycles(config)) {
+        result.error = 'Precedence graph bevat een cyclus';
+    } else if (toolLowerBound(instance.tools, instance.toolLimits) > numStations) {
+        result.error = `Gereedschapslimieten vereisen meer dan ${numStations} stations`;
+    }
+
+    if (result.error) {
+        result.elapsedMs = Date.now() - start;
+        return result;
+    }
+
+    // Every variant has to fit as well
+    const timeRows = [instance.times, ...instance.variantTimes];
+    let lo = Math.max(...timeRows.flatMap(row =>
+        [Math.ceil(row.reduce((a, b) => a + b, 0) / numStations), ...row.map(t => Math.ceil(t))]));
+    let hi = Math.max(...timeRows.map(row => Math.ceil(row.reduce((a, b) => a + b, 0))));
+    result.lowerBound = lo;
+
+    // lo only steers the bisection; provenLo moves only on probes that proved a cycle time infeasible
+    let provenLo = lo;
+    let bestLoads = null;
+    let inconclusive = false;
+
+    // Returns true when a balance with at most numStations exists at this cycle time
+    const probe = (cycleTime) => {
+        if (stationLowerBound(instance.times, cycleTime) > numStations) {
+            provenLo = Math.max(provenLo, cycleTime + 1);
+            return false;
+        }
+
+        result.probes++;
+        const search = runSearch(instance, cycleTime, {
+            upperBound: numStations + 1,
+            targetStations: numStations,
+            deadline,
+            maxNodes
+        });
+        result.nodes += search.nodes;
+
+        if (search.loads) {
+            bestLoads = search.loads;
+            return true;
+        }
+        if (search.aborted) {
+            inconclusive = true;
+        } else {
+            provenLo = Math.max(provenLo, cycleTime + 1);
+        }
+        return false;
+    };
+
+    if (!probe(hi)) {
+        result.error = inconclusive
+            ? 'Geen oplossing gevonden binnen de tijdslimiet'
+            : `Geen toewijzing mogelijk over ${numStations} stations`;
+        result.elapsedMs = Date.now() - start;
+        return result;
+    }
+
+    while (lo < hi && Date.now() < deadline) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (probe(mid)) {
+            hi = mid;
+        } else {
+            lo = mid + 1;
+        }
+    }
+
+    const solution = loadsToSolution(instance, bestLoads);
+    padStations(solution, numStations);
+    // The cycle time the balance reaches, over the average and every variant
+    solution.cycleTime = Math.max(...solution.stations.map(s =>
+        Math.max(s.totalTime, ...config.getVariantTimes(s.tasks).values())));
+
+    result.error = rejectReason(solution, config);
+    if (result.error) {
+        result.elapsedMs = Date.now() - start;
+        return result;
+    }
+
+    result.solution = solution;
+    result.cycleTime = solution.cycleTime;
+    result.isOptimal = lo === hi && !inconclusive;
+    result.lowerBound = result.isOptimal ? result.cycleTime : provenLo;
+    result.elapsedMs = Date.now() - start;
+
+    return result;
+}
@@ -3,7 +3,9 @@
  * Validates solutions against all constraints
  */
 
-import { getAllPredecessors } from './precedence.js';
+import { getAllPredecessors, isAssignable, assignULineLegs, LineType } from './precedence.js';
+import { overloadProbability, meetsServiceLevel, ChanceMethod } from './stochastic.js';
+import { TaskSide, ZoningType } from './models.js';
 
 /**
  * Check if a solution is feasible
@@ -32,9 +34,64 @@ export function checkFeasibility(solution, config) {
     }
 
     // Check 2: Takt time not exceeded per station
+    // (a solution balanced for a fixed station count is held to its own cycle time,
+    // a station with k parallel copies has k times the takt time, a staffed station runs at its worker's times)
+    const taktTime = solution.cycleTime || config.taktTime;
+    const capacity = (station) => taktTime * (station.replicas || 1);
+    const limitLabel = (station) => (station.replicas > 1 ? `${station.replicas} × takt-tijd ${taktTime}s` : `takt-tijd ${taktTime}s`);
     for (const station of solution.stations) {
-        if (station.totalTime > config.taktTime) {
-            errors.push(`Station ${station.id}: tijd ${station.totalTime}s overschrijdt takt-tijd ${config.taktTime}s`);
+        const time = config.getStationTime(station);
+        if (isFinite(time) && time > capacity(station)) {
+            errors.push(`Station ${station.id}: tijd ${time}s overschrijdt ${limitLabel(station)}`);
+        }
+        if (station.replicas > 1 && station.replicas > requiredReplicas(station.tasks, taktTime)) {
+            errors.push(`Station ${station.id}: ${station.replicas} parallelle stations, maar geen taak langer dan ${(station.replicas - 1) * taktTime}s`);
+        }
+    }
+
+    // Check 2b: Mixed-model lines balance on the average time, but no variant may overload a station
+    for (const station of solution.stations) {
+        for (const [variant, time] of config.getVariantTimes(station.tasks)) {
+            if (time > capacity(station)) {
+                errors.push(`Station ${station.id}: variant ${variant} tijd ${time}s overschrijdt ${limitLabel(station)}`);
+            }
+        }
+    }
+
+    // Check 2c: Chance constraint on stochastic task times
+    if (config.serviceLevel) {
+        for (const station of solution.stations) {
+            const risk = overloadProbability(station.tasks, capacity(station), config.chanceMethod);
+            if (1 - risk < config.serviceLevel) {
+                errors.push(`Station ${station.id}: kans op overschrijding ${(risk * 100).toFixed(1)}% (max ${((1 - config.serviceLevel) * 100).toFixed(1)}%)`);
+            }
+        }
+    }
+
+    // Check 2d: Worker assignment - with a roster every station gets its own worker who can do all its tasks
+    if (config.workers.length > 0) {
+        const staffed = new Map(); // worker -> station id
+        for (const station of solution.stations) {
+            const worker = station.worker;
+            if (!worker) {
+                errors.push(`Station ${station.id}: geen werknemer toegewezen`);
+                continue;
+            }
+            if (!config.workers.includes(worker)) {
+                errors.push(`Station ${station.id}: werknemer ${worker} staat niet in het rooster`);
+            }
+            if (staffed.has(worker)) {
+                errors.push(`Werknemer ${worker} is toegewezen aan ${staffed.get(worker)} en ${station.id}`);
+            }
+            staffed.set(worker, station.id);
+            if (station.replicas > 1) {
+                errors.push(`Station ${station.id}: ${station.replicas} parallelle stations met één werknemer`);
+            }
+            for (const task of station.tasks) {
+                if (!isFinite(config.getWorkerTime(task, worker))) {
+                    errors.push(`Station ${station.id}: werknemer ${worker} kan taak ${task.id} niet uitvoeren`);
+                }
+            }
         }
     }
 
@@ -48,7 +105,58 @@ export function checkFeasibility(solution, config) {
         }
     }
 
+    // Check 3b: Zoning - task pairs that must share a station or must be kept apart
+    const stationIdOf = new Map();
+    solution.stations.forEach(station => station.tasks.forEach(t => stationIdOf.set(t.id, station.id)));
+    for (const { a, b, type } of config.zoning) {
+        const stationA = stationIdOf.get(a);
+        const stationB = stationIdOf.get(b);
+        if (stationA === undefined || stationB === undefined) continue;
+        if (type === ZoningType.SAME && stationA !== stationB) {
+            errors.push(`Zonering: ${a} en ${b} moeten in hetzelfde station, maar staan in ${stationA} en ${stationB}`);
+        } else if (type === ZoningType.APART && stationA === stationB) {
+            errors.push(`Zonering: ${a} en ${b} mogen niet samen in station ${stationA}`);
+        }
+    }
+
+    // Check 3c: Station restrictions - stations are numbered along the line (by position on a two-sided line)
+    solution.stations.forEach((station, index) => {
+        const number = station.position ?? index + 1;
+        for (const task of station.tasks) {
+            const restriction = config.stationRestrictions.get(task.id);
+            if (!restriction || config.isStationAllowed(task.id, number)) continue;
+
+            const where = `Taak ${task.id} staat in station ${number} (${station.id})`;
+            const { earliest, latest } = config.getStationWindow(task.id);
+            if (restriction.fixed) {
+                errors.push(`${where}, maar hoort in station ${restriction.fixed}`);
+            } else if (number < earliest) {
+                errors.push(`${where}, maar mag pas vanaf station ${earliest}`);
+            } else if (number > latest) {
+                errors.push(`${where}, maar moet uiterlijk in station ${latest}`);
+            } else {
+                errors.push(`${where}, maar mag daar niet staan`);
+            }
+        }
+    });
+
     // Check 4: Precedence relations
+    // On a U-line every task must fit the front leg (after its predecessors) or the back leg (before its successors)
+    if (config.lineType === LineType.U_SHAPED) {
+        const stationOf = new Map();
+        solution.stations.forEach(station => station.tasks.forEach(task => stationOf.set(task.id, station.id)));
+        for (const task of assignULineLegs(solution, config).unplaced) {
+            errors.push(`Precedence fout (U-lijn): ${task.id} in station ${stationOf.get(task.id)} heeft zowel voorgangers als opvolgers in latere stations`);
+        }
+        return { isValid: errors.length === 0, errors };
+    }
+
+    // On a two-sided line precedence runs over positions, and mated stations wait for each other
+    if (config.lineType === LineType.TWO_SIDED) {
+        errors.push(...checkTwoSided(solution, config, taktTime));
+        return { isValid: errors.length === 0, errors };
+    }
+
     const taskToStation = new Map();
     solution.stations.forEach((station, index) => {
         station.tasks.forEach(task => {
@@ -88,20 +196,161 @@ export function checkFeasibility(solution, config) {
     };
 }
 
+/**
+ * Side, precedence and timing checks of a two-sided line
+ * @returns {string[]} errors
+ */
+function checkTwoSided(solution, config, taktTime) {
+    const errors = [];
+    const stationOf = new Map();
+    const pairs = new Set();
+
+    for (const station of solution.stations) {
+        if (!station.side || !station.position) {
+            errors.push(`Station ${station.id}: geen positie en zijde toegewezen (tweezijdige lijn)`);
+            continue;
+        }
+        if (pairs.has(`${station.position}${station.side}`)) {
+            errors.push(`Station ${station.id}: positie ${station.position} heeft al een station aan zijde ${station.side}`);
+        }
+        pairs.add(`${station.position}${station.side}`);
+
+        for (const task of station.tasks) {
+            stationOf.set(task.id, station);
+            if (task.side && task.side !== TaskSide.EITHER && task.side !== station.side) {
+                errors.push(`Taak ${task.id} hoort aan zijde ${task.side}, maar staat in station ${station.id}`);
+            }
+        }
+    }
+    if (errors.length > 0) return errors;
+
+    for (const [taskId, predecessors] of config.precedence) {
+        const station = stationOf.get(taskId);
+        if (!station) continue;
+
+        for (const predId of predecessors) {
+            const predStation = stationOf.get(predId);
+            if (!predStation) {
+                errors.push(`Precedence fout: ${predId} → ${taskId}, maar ${predId} is niet toegewezen`);
+            } else if (predStation.position > station.position) {
+                errors.push(`Precedence fout: ${predId} moet vóór ${taskId}, maar staat op een latere positie`);
+            } else if (predStation === station &&
+                station.tasks.findIndex(t => t.id === predId) > station.tasks.findIndex(t => t.id === taskId)) {
+                errors.push(`Precedence fout: ${predId} moet vóór ${taskId} binnen station ${station.id}`);
+            }
+        }
+    }
+
+    const schedule = scheduleTwoSided(solution, config);
+    for (const station of solution.stations) {
+        const finish = schedule.finish.get(station.id);
+        const capacity = taktTime * (station.replicas || 1);
+        if (finish > capacity) {
+            errors.push(`Station ${station.id}: klaar na ${finish}s (waarvan ${schedule.idle.get(station.id)}s wachten), takt-tijd ${capacity}s`);
+        }
+    }
+    for (const task of schedule.blocked) {
+        errors.push(`Taak ${task.id} in station ${stationOf.get(task.id).id} wacht op het gepaarde station, dat zelf op deze taak wacht`);
+    }
+
+    return errors;
+}
+
+/**
+ * Start and finish times on a two-sided line
+ * Mated stations (same position, opposite sides) work on the product at the same time. Tasks run
+ * in station order and wait for predecessors in the mated station; those waits are idle time.
+ * Predecessors at earlier positions were finished in an earlier cycle.
+ * @param {Solution} solution - stations with position and side
+ * @param {ProblemConfig} config
+ * @returns {{start: Map<string, number>, finish: Map<string, number>, idle: Map<string, number>, blocked: Task[]}}
+ *   start per task id, finish and idle time per station id, and tasks stuck in a mutual wait
+ */
+export function scheduleTwoSided(solution, config) {
+    const result = { start: new Map(), finish: new Map(), idle: new Map(), blocked: [] };
+    const taskFinish = new Map();
+    const positionOf = new Map();
+    solution.stations.forEach(s => s.tasks.forEach(t => positionOf.set(t.id, s.position)));
+
+    const positions = new Map();
+    solution.stations.forEach(s => positions.set(s.position, [...(positions.get(s.position) || []), s]));
+
+    for (const [position, stations] of positions) {
+        const lanes = stations.map(station => ({ station, next: 0, time: 0, idle: 0 }));
+
+        // Advance each side as far as its waits allow, until neither side can move
+        let progressed = true;
+        while (progressed) {
+            progressed = false;
+            for (const lane of lanes) {
+                while (lane.next < lane.station.tasks.length) {
+                    const task = lane.station.tasks[lane.next];
+                    const matePreds = (config.precedence.get(task.id) || []).filter(p =>
+                        positionOf.get(p) === position && !lane.station.tasks.some(t => t.id === p));
+                    if (matePreds.some(p => !taskFinish.has(p))) break;
+
+                    const start = Math.max(lane.time, ...matePreds.map(p => taskFinish.get(p)));
+                    lane.idle += start - lane.time;
+                    lane.time = start + task.processingTime;
+                    result.start.set(task.id, start);
+                    taskFinish.set(task.id, lane.time);
+                    lane.next++;
+                    progressed = true;
+                }
+            }
+        }
+
+        for (const lane of lanes) {
+            result.blocked.push(...lane.station.tasks.slice(lane.next));
+            result.finish.set(lane.station.id, lane.time);
+            result.idle.set(lane.station.id, lane.idle);
+        }
+    }
+
+    return result;
+}
+
 /**
  * Check if a task can be added to a station
  * @param {Task} task 
  * @param {Station} station 
  * @param {ProblemConfig} config 
  * @param {Set<string>} assignedTasks - already assigned task IDs
+ * @param {number|null} stationNumber - 1-based position of the station in the line,
+ *   null when it is not known yet (stations loaded from the end of the line)
  * @returns {{canAdd: boolean, reason: string|null}}
  */
-export function canAddTaskToStation(task, station, config, assignedTasks) {
-    // Check takt time
-    if (station.totalTime + task.processingTime > config.taktTime) {
+export function canAddTaskToStation(task, station, config, assignedTasks, stationNumber = null) {
+    // Check station restrictions
+    if (stationNumber !== null && !config.isStationAllowed(task.id, stationNumber)) {
+        return { canAdd: false, reason: `Taak ${task.id} mag niet in station ${stationNumber}` };
+    }
+
+    // Check takt time; a task longer than the takt time makes the station run in parallel,
+    // a staffed station cannot (it has one worker) and runs at the worker's times
+    const replicas = station.worker ? 1 : Math.max(station.replicas || 1,
+        requiredReplicas(station.tasks, config.taktTime), requiredReplicas([task], config.taktTime));
+    const capacity = config.taktTime * replicas;
+    const taskTime = config.getWorkerTime(task, station.worker);
+    if (!isFinite(taskTime)) {
+        return { canAdd: false, reason: `Werknemer ${station.worker} kan deze taak niet uitvoeren` };
+    }
+    if (config.getStationTime(station) + taskTime > capacity) {
         return { canAdd: false, reason: 'Takt-tijd overschreden' };
     }
 
+    // Check takt time per product variant
+    for (const [variant, time] of config.getVariantTimes(station.tasks)) {
+        if (time + config.getTaskTime(task, variant) > capacity) {
+            return { canAdd: false, reason: `Takt-tijd overschreden voor variant ${variant}` };
+        }
+    }
+
+    // Check the service level (normal approximation, Monte Carlo is too slow per candidate)
+    if (config.serviceLevel && !meetsServiceLevel([...station.tasks, task], capacity, config, ChanceMethod.NORMAL)) {
+        return { canAdd: false, reason: 'Servicegraad niet gehaald' };
+    }
+
     // Check tool limit
     const currentToolCount = station.tools.get(task.toolType) || 0;
     const limit = config.toolLimits.get(task.toolType);
@@ -109,17 +358,126 @@ export function canAddTaskToStation(task, station, config, assignedTasks) {
         return { canAdd: false, reason: `Gereedschapslimiet ${task.toolType} bereikt` };
     }
 
-    // Check precedence - all predecessors must already be assigned
-    const predecessors = config.precedence.get(task.id) || [];
-    for (const predId of predecessors) {
-        if (!assignedTasks.has(predId)) {
-            return { canAdd: false, reason: `Wacht op taak ${predId}` };
-        }
+    // Check zoning
+    const zoning = zoningConflict(task, station.tasks, config, assignedTasks);
+    if (zoning) {
+        return { canAdd: false, reason: zoning };
+    }
+
+    // Check precedence - all predecessors must already be assigned (or all successors on a U-line)
+    if (!isAssignable(config, task.id, assignedTasks)) {
+        const waitingFor = (config.precedence.get(task.id) || []).find(p => !assignedTasks.has(p));
+        return { canAdd: false, reason: `Wacht op taak ${waitingFor}` };
     }
 
     return { canAdd: true, reason: null };
 }
 
+/**
+ * Tasks whose latest allowed station is this one; a greedy construction places them first
+ * so it does not close the station without them
+ * @param {Task[]} tasks - tasks that fit the station
+ * @param {ProblemConfig} config
+ * @param {number} stationNumber
+ * @param {boolean} fromEnd - the line is loaded from the end, so the earliest station is the deadline
+ * @returns {Task[]}
+ */
+export function getDueTasks(tasks, config, stationNumber, fromEnd = false) {
+    return tasks.filter(t => {
+        const window = config.getStationWindow(t.id);
+        return fromEnd ? window.earliest >= stationNumber : window.latest <= stationNumber;
+    });
+}
+
+/**
+ * Zoning reason a task cannot join a station: a task it must be kept apart from is there,
+ * or a must-share partner is already assigned to another station
+ * @param {Task} task
+ * @param {Task[]} stationTasks
+ * @param {ProblemConfig} config
+ * @param {Set<string>} assignedTasks
+ * @returns {string|null}
+ */
+export function zoningConflict(task, stationTasks, config, assignedTasks) {
+    const inStation = (id) => stationTasks.some(t => t.id === id);
+
+    const apart = config.getZoningPartners(task.id, ZoningType.APART).find(inStation);
+    if (apart) return `Zonering: mag niet samen met taak ${apart}`;
+
+    const elsewhere = config.getZoningPartners(task.id, ZoningType.SAME)
+        .find(id => assignedTasks.has(id) && !inStation(id));
+    if (elsewhere) return `Zonering: hoort bij taak ${elsewhere} in een ander station`;
+
+    return null;
+}
+
+/**
+ * Whether the tasks of one station respect the zoning constraints: every must-share pair
+ * is complete or absent, and no must-separate pair is together
+ * @param {Task[]} tasks
+ * @param {ProblemConfig} config
+ * @returns {boolean}
+ */
+export function zoningAllows(tasks, config) {
+    const ids = new Set(tasks.map(t => t.id));
+    return config.zoning.every(({ a, b, type }) => (type === ZoningType.SAME
+        ? ids.has(a) === ids.has(b)
+        : !(ids.has(a) && ids.has(b))));
+}
+
+/**
+ * Whether the tasks of one station stay within the tool limits
+ * @param {Task[]} tasks
+ * @param {ProblemConfig} config
+ * @returns {boolean}
+ */
+export function toolsFit(tasks, config) {
+    const counts = new Map();
+    for (const task of tasks) {
+        const count = (counts.get(task.toolType) || 0) + 1;
+        const limit = config.toolLimits.get(task.toolType);
+        if (limit !== undefined && count > limit) return false;
+        counts.set(task.toolType, count);
+    }
+    return true;
+}
+
+/**
+ * Whether no product variant overloads a station with the given tasks
+ * @param {Task[]} tasks
+ * @param {ProblemConfig} config
+ * @param {number} capacity - takt time times the parallel copies of the station
+ * @returns {boolean}
+ */
+export function variantsFit(tasks, config, capacity) {
+    return [...config.getVariantTimes(tasks).values()].every(time => time <= capacity);
+}
+
+/**
+ * Parallel copies a station needs: enough that its longest task fits the combined cycle time
+ * Only tasks longer than the takt time lead to replicated stations.
+ * @param {Task[]} tasks
+ * @param {number} taktTime
+ * @returns {number}
+ */
+export function requiredReplicas(tasks, taktTime) {
+    const longest = tasks.reduce((max, t) => Math.max(max, t.processingTime), 0);
+    return Math.max(1, Math.ceil(longest / taktTime));
+}
+
+/**
+ * Set the replication factor of every station from its tasks
+ * @param {Station[]} stations
+ * @param {number} taktTime
+ * @returns {Station[]} the same stations
+ */
+export function assignReplicas(stations, taktTime) {
+    stations.forEach(station => {
+        station.replicas = requiredReplicas(station.tasks, taktTime);
+    });
+    return stations;
+}
+
 /**
  * Validate a solution and update its validity status
  * @param {Solution} solution 
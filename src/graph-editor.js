@@ -3,6 +3,42 @@
  * Drag & drop editor with sidebar and connection handles
  */
 
+import { parseVariantValues, TaskSide, ZoningType } from './models.js';
+
+const ZONING_COLORS = {
+    [ZoningType.SAME]: '#06b6d4',
+    [ZoningType.APART]: '#ef4444'
+};
+
+/**
+ * Station restriction as edit text: "3" (fixed), "2-4", "2-" or "-4" (window), "!5,6" (forbidden)
+ */
+function formatRestriction(r) {
+    if (!r) return '';
+    const parts = [];
+    if (r.fixed) parts.push(String(r.fixed));
+    else if (r.earliest || r.latest) parts.push(`${r.earliest || ''}-${r.latest || ''}`);
+    if (r.forbidden.length > 0) parts.push(`!${r.forbidden.join(',')}`);
+    return parts.join(' ');
+}
+
+function parseRestriction(text) {
+    const toNumber = (v) => (Number.isInteger(Number(v)) && Number(v) >= 1 ? Number(v) : null);
+    const r = { fixed: null, earliest: null, latest: null, forbidden: [] };
+    for (const part of text.trim().split(/\s+/).filter(Boolean)) {
+        if (part.startsWith('!')) {
+            r.forbidden.push(...part.slice(1).split(',').map(toNumber).filter(n => n !== null));
+        } else if (part.includes('-')) {
+            const [from, to] = part.split('-');
+            r.earliest = toNumber(from);
+            r.latest = toNumber(to);
+        } else {
+            r.fixed = toNumber(part);
+        }
+    }
+    return r;
+}
+
 export class GraphEditor {
     constructor(container, config, onChange) {
         this.container = container;
@@ -15,6 +51,7 @@ export class GraphEditor {
         this.edgeStart = null;
         this.mousePos = { x: 0, y: 0 };
         this.hoveredNode = null;
+        this.linkMode = 'precedence'; // or a ZoningType: what a dragged handle creates
 
         this.nodePositions = new Map();
         this.nodeRadius = 28;
@@ -59,10 +96,25 @@ export class GraphEditor {
                 <span>M3 Tool</span>
             </div>
             <hr>
+            <h4>🔗 Verbinding</h4>
+            <div class="link-item active" data-link="precedence">
+                <div class="link-swatch precedence"></div>
+                <span>Volgorde</span>
+            </div>
+            <div class="link-item" data-link="${ZoningType.SAME}">
+                <div class="link-swatch same"></div>
+                <span>Zelfde station</span>
+            </div>
+            <div class="link-item" data-link="${ZoningType.APART}">
+                <div class="link-swatch apart"></div>
+                <span>Niet samen</span>
+            </div>
+            <hr>
             <h4>💡 Tips</h4>
             <ul class="tips-list">
                 <li>Sleep taak naar canvas</li>
                 <li>Sleep ● handle naar andere taak</li>
+                <li>Zonering nogmaals trekken om te verwijderen</li>
                 <li>Dubbelklik om te bewerken</li>
                 <li>Rechtsklik om te verwijderen</li>
             </ul>
@@ -123,6 +175,14 @@ export class GraphEditor {
             });
         });
 
+        // Connection type for the handles
+        this.sidebar.querySelectorAll('.link-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.linkMode = item.dataset.link;
+                this.sidebar.querySelectorAll('.link-item').forEach(i => i.classList.toggle('active', i === item));
+            });
+        });
+
         this.canvas.addEventListener('dragover', (e) => {
             e.preventDefault();
         });
@@ -210,7 +270,11 @@ export class GraphEditor {
         if (this.drawingEdge) {
             const nodeInfo = this.getNodeAt(pos);
             if (nodeInfo && nodeInfo.id !== this.edgeStart) {
-                this.addEdge(this.edgeStart, nodeInfo.id);
+                if (this.linkMode === 'precedence') {
+                    this.addEdge(this.edgeStart, nodeInfo.id);
+                } else {
+                    this.toggleZoning(this.edgeStart, nodeInfo.id, this.linkMode);
+                }
             }
             this.drawingEdge = false;
             this.edgeStart = null;
@@ -270,16 +334,87 @@ export class GraphEditor {
         this.render();
     }
 
+    /**
+     * Add a zoning link, or remove it when the pair already has one of this type
+     */
+    toggleZoning(a, b, type) {
+        if (this.config.getZoning(a, b)?.type === type) {
+            this.config.removeZoning(a, b);
+        } else {
+            this.config.addZoning(a, b, type);
+        }
+        this.onChange();
+        this.render();
+    }
+
     editTask(id) {
         const task = this.config.tasks.get(id);
         if (!task) return;
 
-        const time = prompt('Verwerkingstijd:', task.processingTime);
-        if (time !== null) task.processingTime = parseInt(time);
+        if (this.config.variants.size > 0) {
+            // Mixed-model: the processing time follows from the variant times and the product mix
+            const current = task.variantTimes
+                ? Object.entries(task.variantTimes).map(([v, t]) => `${v}=${t}`).join(', ')
+                : '';
+            const times = prompt(`Tijd per variant (${[...this.config.variants.keys()].join(', ')}; leeg = één tijd):`, current);
+            if (times !== null) {
+                const parsed = parseVariantValues(times);
+                task.variantTimes = parsed.size > 0 ? Object.fromEntries(parsed) : null;
+                // Average the new variant times, or bring back the task's own time
+                this.config.updateAverageTime(task);
+            }
+        }
+
+        if (!task.variantTimes) {
+            const time = prompt('Verwerkingstijd:', task.processingTime);
+            if (time !== null) task.processingTime = parseInt(time);
+        }
+
+        // Stochastic times: a standard deviation, or min/mode/max for a triangular distribution
+        const current = task.timeRange
+            ? `${task.timeRange.min}/${task.timeRange.mode}/${task.timeRange.max}`
+            : (task.timeStdev || '');
+        const spread = prompt('Spreiding: stdev (bv. 2) of min/modus/max (bv. 8/10/14), leeg = vast:', current);
+        if (spread !== null) {
+            const values = spread.split('/').map(v => parseFloat(v));
+            if (values.length === 3 && values.every(v => !isNaN(v)) && values[0] <= values[1] && values[1] <= values[2]) {
+                const [min, mode, max] = values;
+                task.timeRange = { min, mode, max };
+                task.timeStdev = 0;
+                task.processingTime = Math.round((min + mode + max) / 3 * 100) / 100;
+            } else {
+                task.timeRange = null;
+                task.timeStdev = values.length === 1 && values[0] > 0 ? values[0] : 0;
+            }
+        }
+
+        if (this.config.workers.length > 0) {
+            // Worker assignment: a worker left out of the list cannot do the task
+            const current = task.workerTimes
+                ? Object.entries(task.workerTimes).map(([w, t]) => `${w}=${t}`).join(', ')
+                : '';
+            const times = prompt(`Tijd per werknemer (${this.config.workers.join(', ')}; leeg = standaardtijd voor iedereen, weggelaten = kan niet):`, current);
+            if (times !== null) {
+                const parsed = parseVariantValues(times);
+                task.workerTimes = parsed.size > 0 ? Object.fromEntries(parsed) : null;
+            }
+        }
 
         const tool = prompt('Tool type (M1/M2/M3, leeg = geen):', task.toolType || '');
         if (tool !== null) task.toolType = tool ? tool.toUpperCase() : null;
 
+        const restriction = prompt('Stations: vast (3), bereik (2-4, 2-, -4) en/of verboden (!5,6), leeg = vrij:',
+            formatRestriction(this.config.stationRestrictions.get(id)));
+        if (restriction !== null) this.config.setStationRestriction(id, parseRestriction(restriction));
+
+        if (this.config.lineType === 'two-sided') {
+            const side = prompt('Zijde (L = links, R = rechts, E = beide):', task.side || TaskSide.EITHER);
+            if (side !== null) {
+                const value = side.trim().toUpperCase();
+                task.side = Object.values(TaskSide).includes(value) ? value : TaskSide.EITHER;
+            }
+        }
+
         this.onChange();
         this.render();
     }
@@ -293,6 +428,8 @@ export class GraphEditor {
             const idx = froms.indexOf(id);
             if (idx > -1) froms.splice(idx, 1);
         }
+        this.config.zoning = this.config.zoning.filter(z => z.a !== id && z.b !== id);
+        this.config.stationRestrictions.delete(id);
 
         this.onChange();
         this.render();
@@ -337,11 +474,18 @@ export class GraphEditor {
             }
         }
 
+        // Draw zoning links
+        for (const { a, b, type } of this.config.zoning) {
+            const posA = this.nodePositions.get(a);
+            const posB = this.nodePositions.get(b);
+            if (posA && posB) this.drawZoning(posA, posB, type);
+        }
+
         // Draw edge being created
         if (this.drawingEdge && this.edgeStart) {
             const startPos = this.nodePositions.get(this.edgeStart);
             if (startPos) {
-                ctx.strokeStyle = '#6366f1';
+                ctx.strokeStyle = ZONING_COLORS[this.linkMode] || '#6366f1';
                 ctx.lineWidth = 3;
                 ctx.setLineDash([5, 5]);
                 ctx.beginPath();
@@ -414,6 +558,14 @@ export class GraphEditor {
             ctx.fillStyle = 'rgba(255,255,255,0.8)';
             ctx.fillText(`${task.processingTime}s`, pos.x, pos.y + 10);
         }
+
+        // Station restriction below the node
+        const restriction = this.config.stationRestrictions.get(id);
+        if (restriction) {
+            ctx.font = '10px Inter, sans-serif';
+            ctx.fillStyle = '#f59e0b';
+            ctx.fillText(`📍 WS ${formatRestriction(restriction)}`, pos.x, pos.y + this.nodeRadius + 12);
+        }
     }
 
     drawArrow(from, to) {
@@ -447,9 +599,43 @@ export class GraphEditor {
         ctx.fill();
     }
 
+    /**
+     * Zoning link: a straight dashed line without arrowhead, crossed out for must-separate pairs
+     */
+    drawZoning(from, to, type) {
+        const ctx = this.ctx;
+        const angle = Math.atan2(to.y - from.y, to.x - from.x);
+        const startX = from.x + Math.cos(angle) * this.nodeRadius;
+        const startY = from.y + Math.sin(angle) * this.nodeRadius;
+        const endX = to.x - Math.cos(angle) * this.nodeRadius;
+        const endY = to.y - Math.sin(angle) * this.nodeRadius;
+
+        ctx.strokeStyle = ZONING_COLORS[type];
+        ctx.lineWidth = 2;
+        ctx.setLineDash(type === ZoningType.SAME ? [8, 4] : [3, 4]);
+        ctx.beginPath();
+        ctx.moveTo(startX, startY);
+        ctx.lineTo(endX, endY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (type === ZoningType.APART) {
+            const midX = (startX + endX) / 2;
+            const midY = (startY + endY) / 2;
+            ctx.beginPath();
+            ctx.moveTo(midX - 6, midY - 6);
+            ctx.lineTo(midX + 6, midY + 6);
+            ctx.moveTo(midX + 6, midY - 6);
+            ctx.lineTo(midX - 6, midY + 6);
+            ctx.stroke();
+        }
+    }
+
     clear() {
         this.config.tasks.clear();
         this.config.precedence.clear();
+        this.config.zoning = [];
+        this.config.stationRestrictions.clear();
         this.nodePositions.clear();
         this.selectedNode = null;
         this.onChange();
@@ -3,9 +3,11 @@
  * Different strategies for assigning tasks to stations
  */
 
-import { getAvailableTasks, getPositionalWeight, calculateSlack } from './precedence.js';
-import { canAddTaskToStation } from './feasibility.js';
-import { Station, Solution } from './models.js';
+import { getAvailableTasks, getPositionalWeight, calculateSlack, orderByPrecedence } from './precedence.js';
+import { canAddTaskToStation, assignReplicas, requiredReplicas, zoningAllows, toolsFit, variantsFit, getDueTasks } from './feasibility.js';
+import { Station, Solution, ProblemConfig } from './models.js';
+import { runAntColony } from './aco.js';
+import { createRandom, randomInt } from './random.js';
 
 /**
  * Priority function types
@@ -15,7 +17,21 @@ export const HeuristicType = {
     SLACK: 'slack',       // Least Slack First
     RANDOM: 'random',     // Random Priority
     WEIGHT: 'weight',     // Positional Weight
-    HYBRID: 'hybrid'      // Combination
+    HYBRID: 'hybrid',     // Combination
+    ACO: 'aco',           // Ant Colony Optimization
+    RPW: 'rpw',                            // Ranked Positional Weight (Helgeson-Birnie)
+    COMSOAL: 'comsoal',                    // Random pick from the fit list (Arcus)
+    MOODIE_YOUNG: 'moodie-young',          // Largest candidate, then trading between stations
+    KILBRIDGE_WESTER: 'kilbridge-wester'   // Precedence columns, longest task first within a column
+};
+
+/**
+ * Direction in which stations are loaded
+ */
+export const LoadingDirection = {
+    FORWARD: 'forward',             // from the source tasks
+    BACKWARD: 'backward',           // from the sink tasks, following successors
+    BIDIRECTIONAL: 'bidirectional'  // alternately the first and the last open station
 };
 
 /**
@@ -50,13 +66,46 @@ function sortByWeight(tasks, config) {
     return [...tasks].sort((a, b) => weightMap.get(b.id) - weightMap.get(a.id));
 }
 
+/**
+ * Rank tasks by positional weight once, longest task first on equal weight (RPW)
+ */
+function sortByRankedWeight(tasks, config) {
+    const memo = new Map();
+    const rank = (t) => getPositionalWeight(config, t.id, memo);
+
+    return [...tasks].sort((a, b) => rank(b) - rank(a) || b.processingTime - a.processingTime);
+}
+
+/**
+ * Kilbridge-Wester column of a task: 0 without predecessors, otherwise one past its latest predecessor
+ */
+function getColumn(config, taskId, memo) {
+    if (memo.has(taskId)) return memo.get(taskId);
+
+    const preds = (config.precedence.get(taskId) || []).filter(p => config.tasks.has(p));
+    const column = preds.length === 0 ? 0 : 1 + Math.max(...preds.map(p => getColumn(config, p, memo)));
+
+    memo.set(taskId, column);
+    return column;
+}
+
+/**
+ * Sort tasks by Kilbridge-Wester column, then by processing time (descending)
+ */
+function sortByColumn(tasks, config) {
+    const memo = new Map();
+    return [...tasks].sort((a, b) =>
+        getColumn(config, a.id, memo) - getColumn(config, b.id, memo) ||
+        b.processingTime - a.processingTime);
+}
+
 /**
  * Shuffle tasks randomly
  */
-function shuffleTasks(tasks) {
+function shuffleTasks(tasks, random) {
     const shuffled = [...tasks];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -64,8 +113,9 @@ function shuffleTasks(tasks) {
 
 /**
  * Sort tasks based on heuristic type
+ * @param {() => number} random - seeded random source for the randomized rules
  */
-function sortByHeuristic(tasks, config, heuristic) {
+function sortByHeuristic(tasks, config, heuristic, random) {
     switch (heuristic) {
         case HeuristicType.LPT:
             return sortByLPT(tasks);
@@ -74,16 +124,24 @@ function sortByHeuristic(tasks, config, heuristic) {
         case HeuristicType.WEIGHT:
             return sortByWeight(tasks, config);
         case HeuristicType.RANDOM:
-            return shuffleTasks(tasks);
+            return shuffleTasks(tasks, random);
+        case HeuristicType.RPW:
+            return sortByRankedWeight(tasks, config);
+        case HeuristicType.KILBRIDGE_WESTER:
+            return sortByColumn(tasks, config);
+        case HeuristicType.MOODIE_YOUNG:
+            // Phase 1 is the largest candidate rule
+            return sortByLPT(tasks);
         case HeuristicType.HYBRID:
             // Combine: primarily by weight, with random tie-breaking
             const weighted = sortByWeight(tasks, config);
-            // Add small random perturbation to order
+            // Draw one tie-break key per task so the comparator stays reproducible
+            const tieBreak = new Map(weighted.map(t => [t.id, random()]));
             return weighted.sort((a, b) => {
                 const wA = getPositionalWeight(config, a.id, new Map());
                 const wB = getPositionalWeight(config, b.id, new Map());
                 if (Math.abs(wA - wB) < 0.1 * Math.max(wA, wB)) {
-                    return Math.random() - 0.5;
+                    return tieBreak.get(a.id) - tieBreak.get(b.id);
                 }
                 return wB - wA;
             });
@@ -93,56 +151,213 @@ function sortByHeuristic(tasks, config, heuristic) {
 }
 
 /**
- * Generate a single solution using a specific heuristic
- * @param {ProblemConfig} config 
- * @param {string} heuristic - HeuristicType
- * @returns {Solution}
+ * Choose the next task for the open station, or null if none fits
+ * @param {number|null} stationNumber - null when the station's place in the line is not known
+ * @param {boolean} fromEnd - the line is loaded from the end, so the next station comes earlier
  */
-export function generateSolution(config, heuristic = HeuristicType.LPT) {
-    const stations = [];
-    const assignedTasks = new Set();
-    let currentStation = new Station(`S${stations.length + 1}`);
+function pickTask(available, station, config, assignedTasks, heuristic, random, stationNumber = null, fromEnd = false) {
+    const fits = (task) => canAddTaskToStation(task, station, config, assignedTasks, stationNumber).canAdd;
 
-    while (assignedTasks.size < config.tasks.size) {
-        // Get available tasks (predecessors completed)
-        let available = getAvailableTasks(config, assignedTasks);
+    // Tasks that cannot go any further along the loading order are placed first
+    if (stationNumber !== null && config.stationRestrictions.size > 0) {
+        const due = getDueTasks(available.filter(fits), config, stationNumber, fromEnd);
+        if (due.length > 0) available = due;
+    }
 
-        if (available.length === 0) {
-            // No tasks available - should not happen if precedence is valid
-            break;
-        }
+    if (heuristic === HeuristicType.COMSOAL) {
+        // COMSOAL: choose uniformly from the fit list of available tasks that fit the station
+        const fitList = available.filter(fits);
+        return fitList.length > 0 ? fitList[randomInt(random, fitList.length)] : null;
+    }
+
+    return sortByHeuristic(available, config, heuristic, random).find(fits) || null;
+}
+
+/**
+ * Check whether a task may move to station `target` (precedence and station restrictions)
+ * @param {Map<string, number>} stationOf - task id -> station index
+ * @param {{id: string, station: number}|null} except - a task that moves at the same time
+ */
+function canMoveTo(taskId, target, stationOf, config, except = null) {
+    const where = (id) => (except && id === except.id ? except.station : stationOf.get(id));
+    return config.isStationAllowed(taskId, target + 1) &&
+        (config.precedence.get(taskId) || []).every(p => where(p) <= target) &&
+        (config.successors.get(taskId) || []).every(s => where(s) >= target);
+}
+
+/**
+ * Moodie-Young phase 2: trade tasks from heavy to light stations
+ * A transfer or swap is only made when it moves less time than the difference between
+ * the two stations, so both end inside the old range and the workload gets smoother.
+ * @param {Station[]} stations
+ * @param {ProblemConfig} config
+ * @returns {Station[]} stations with the same ids and count
+ */
+function tradeTasks(stations, config) {
+    const loads = stations.map(s => [...s.tasks]);
+    const sum = (tasks) => tasks.reduce((total, t) => total + t.processingTime, 0);
+
+    // Parallel stations keep their replication, so they may hold more than one takt time
+    const capacity = stations.map(s => config.taktTime * (s.replicas || 1));
 
-        // Sort by heuristic
-        available = sortByHeuristic(available, config, heuristic);
+    const findTrade = () => {
+        const times = loads.map(sum);
+        const stationOf = new Map();
+        loads.forEach((tasks, i) => tasks.forEach(t => stationOf.set(t.id, i)));
 
-        let taskAssigned = false;
+        const byTime = loads.map((_, i) => i).sort((a, b) => times[b] - times[a]);
 
-        for (const task of available) {
-            const check = canAddTaskToStation(task, currentStation, config, assignedTasks);
+        for (const heavy of byTime) {
+            for (const light of [...byTime].reverse()) {
+                const diff = times[heavy] - times[light];
+                if (diff <= 0) break;
 
-            if (check.canAdd) {
-                currentStation.addTask(task);
-                assignedTasks.add(task.id);
-                taskAssigned = true;
-                break;
+                // Transfer one task
+                for (const task of loads[heavy]) {
+                    if (loads[heavy].length > 1 && task.processingTime < diff &&
+                        times[light] + task.processingTime <= capacity[light] &&
+                        canMoveTo(task.id, light, stationOf, config) &&
+                        toolsFit([...loads[light], task], config) &&
+                        zoningAllows([...loads[light], task], config) &&
+                        variantsFit([...loads[light], task], config, capacity[light])) {
+                        return { heavy, light, a: task, b: null };
+                    }
+                }
+
+                // Swap a longer task for a shorter one
+                for (const a of loads[heavy]) {
+                    for (const b of loads[light]) {
+                        const delta = a.processingTime - b.processingTime;
+                        if (delta <= 0 || delta >= diff || times[light] + delta > capacity[light]) continue;
+                        if (!canMoveTo(a.id, light, stationOf, config, { id: b.id, station: heavy }) ||
+                            !canMoveTo(b.id, heavy, stationOf, config, { id: a.id, station: light })) continue;
+                        const newHeavy = [...loads[heavy].filter(t => t !== a), b];
+                        const newLight = [...loads[light].filter(t => t !== b), a];
+                        if (!toolsFit(newHeavy, config) || !toolsFit(newLight, config)) continue;
+                        if (!zoningAllows(newHeavy, config) || !zoningAllows(newLight, config)) continue;
+                        if (!variantsFit(newHeavy, config, capacity[heavy]) ||
+                            !variantsFit(newLight, config, capacity[light])) continue;
+                        return { heavy, light, a, b };
+                    }
+                }
             }
         }
+        return null;
+    };
 
-        if (!taskAssigned) {
-            // Current station is full, start a new one
-            if (currentStation.tasks.length > 0) {
-                stations.push(currentStation);
-            }
-            currentStation = new Station(`S${stations.length + 1}`);
+    // Every trade lowers the sum of squared station times, so this ends; the cap is a safeguard
+    for (let i = 0; i < 1000; i++) {
+        const trade = findTrade();
+        if (!trade) break;
+
+        const { heavy, light, a, b } = trade;
+        loads[heavy] = loads[heavy].filter(t => t !== a);
+        loads[light] = loads[light].filter(t => t !== b);
+        if (b) loads[heavy].push(b);
+        loads[light].push(a);
+    }
+
+    return loads.map((tasks, i) => {
+        const station = new Station(stations[i].id);
+        orderByPrecedence(tasks, config).forEach(t => station.addTask(t));
+        station.replicas = Math.max(stations[i].replicas, requiredReplicas(tasks, config.taktTime));
+        return station;
+    });
+}
+
+/**
+ * The same problem with every precedence relation reversed
+ * Loading this config forward is loading the original backward, and every rule
+ * (positional weight, columns, slack) is then measured from the sink tasks.
+ */
+function reverseConfig(config) {
+    const reversed = Object.assign(new ProblemConfig(), config);
+    reversed.precedence = config.successors;
+    reversed.successors = config.precedence;
+    return reversed;
+}
+
+/**
+ * Load the line once in the given direction
+ * Back stations are numbered from the end of the line, which needs its length; without one
+ * they are loaded without station restrictions.
+ * @param {number|null} lineLength - expected number of stations, null when not known
+ * @returns {Station[][]} task loads in line order
+ */
+function loadLine(config, heuristic, random, direction, lineLength) {
+    const front = { config, assigned: new Set(), stations: [] };
+    const back = { config: direction === LoadingDirection.FORWARD ? null : reverseConfig(config), assigned: new Set(), stations: [] };
+    const placed = new Set();
+    let side = direction === LoadingDirection.BACKWARD ? back : front;
+
+    while (placed.size < config.tasks.size) {
+        const station = new Station(`S${front.stations.length + back.stations.length + 1}`);
+        const number = side === front
+            ? front.stations.length + 1
+            : (lineLength === null ? null : lineLength - back.stations.length);
+
+        // Fill the open station until no available task fits
+        while (true) {
+            // Get available tasks (predecessors completed on this side of the line)
+            const available = getAvailableTasks(side.config, side.assigned).filter(t => !placed.has(t.id));
+            const task = pickTask(available, station, side.config, side.assigned, heuristic, random, number, side === back);
+            if (!task) break;
+
+            station.addTask(task);
+            side.assigned.add(task.id);
+            placed.add(task.id);
+        }
+
+        // A task that does not fit an empty station can never be placed
+        if (station.tasks.length === 0) break;
+
+        side.stations.push(station);
+        if (direction === LoadingDirection.BIDIRECTIONAL) {
+            side = side === front ? back : front;
         }
     }
 
-    // Add last station if it has tasks
-    if (currentStation.tasks.length > 0) {
-        stations.push(currentStation);
+    // Back stations were loaded from the end of the line, tasks in reverse order
+    return [
+        ...front.stations.map(st => st.tasks),
+        ...back.stations.reverse().map(st => [...st.tasks].reverse())
+    ];
+}
+
+/**
+ * Generate a single solution using a specific heuristic
+ * Backward stations are built from the end of the line and put back in line order afterwards.
+ * With station restrictions the line is loaded again with the back stations numbered by the
+ * length of the previous attempt, until the length no longer changes.
+ * @param {ProblemConfig} config 
+ * @param {string} heuristic - HeuristicType
+ * @param {() => number} random - seeded random source (see createRandom)
+ * @param {string} direction - LoadingDirection
+ * @returns {Solution}
+ */
+export function generateSolution(config, heuristic = HeuristicType.LPT, random = createRandom(1), direction = LoadingDirection.FORWARD) {
+    let loads = loadLine(config, heuristic, random, direction, null);
+    if (direction !== LoadingDirection.FORWARD && config.stationRestrictions.size > 0) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const lineLength = loads.length;
+            loads = loadLine(config, heuristic, random, direction, lineLength);
+            if (loads.length === lineLength) break;
+        }
+    }
+
+    let stations = assignReplicas(loads.map((tasks, i) => {
+        const station = new Station(`S${i + 1}`);
+        tasks.forEach(t => station.addTask(t));
+        return station;
+    }), config.taktTime);
+
+    if (heuristic === HeuristicType.MOODIE_YOUNG) {
+        stations = tradeTasks(stations, config);
     }
 
-    return new Solution(stations);
+    const solution = new Solution(stations);
+    solution.method = direction === LoadingDirection.FORWARD ? heuristic : `${heuristic}:${direction}`;
+    return solution;
 }
 
 /**
@@ -151,14 +366,16 @@ export function generateSolution(config, heuristic = HeuristicType.LPT) {
  * @param {ProblemConfig} config 
  * @param {string} heuristic 
  * @param {number} iterations 
+ * @param {() => number} random - seeded random source shared by all iterations
+ * @param {string} direction - LoadingDirection
  * @returns {Solution[]}
  */
-export function generateMultipleSolutions(config, heuristic, iterations = 50) {
+export function generateMultipleSolutions(config, heuristic, iterations = 50, random = createRandom(1), direction = LoadingDirection.FORWARD) {
     const solutions = [];
     const seenHashes = new Set();
 
     for (let i = 0; i < iterations; i++) {
-        const solution = generateSolution(config, heuristic);
+        const solution = generateSolution(config, heuristic, random, direction);
         const hash = solution.getHash();
 
         if (!seenHashes.has(hash)) {
@@ -172,6 +389,7 @@ export function generateMultipleSolutions(config, heuristic, iterations = 50) {
 
 /**
  * Generate solutions using multiple heuristics
+ * Every rule is on by default, the ant colony included; turn one off with its use* option.
  * @param {ProblemConfig} config 
  * @param {Object} options
  * @returns {Solution[]}
@@ -182,6 +400,13 @@ export function generateAllSolutions(config, options = {}) {
         useSlack = true,
         useRandom = true,
         useHybrid = true,
+        useRPW = true,
+        useCOMSOAL = true,
+        useMoodieYoung = true,
+        useKilbridgeWester = true,
+        useACO = true,
+        directions = [LoadingDirection.FORWARD],
+        seed = 1,
         iterations = 100
     } = options;
 
@@ -197,10 +422,29 @@ export function generateAllSolutions(config, options = {}) {
     // Also add weight-based
     heuristics.push(HeuristicType.WEIGHT);
 
-    const iterationsPerHeuristic = Math.ceil(iterations / heuristics.length);
+    if (useRPW) heuristics.push(HeuristicType.RPW);
+    if (useCOMSOAL) heuristics.push(HeuristicType.COMSOAL);
+    if (useMoodieYoung) heuristics.push(HeuristicType.MOODIE_YOUNG);
+    if (useKilbridgeWester) heuristics.push(HeuristicType.KILBRIDGE_WESTER);
 
-    for (const heuristic of heuristics) {
-        const solutions = generateMultipleSolutions(config, heuristic, iterationsPerHeuristic);
+    if (useACO) heuristics.push(HeuristicType.ACO);
+
+    // Every rule runs in every loading direction; ACO builds forward only
+    const runs = heuristics.flatMap(heuristic => heuristic === HeuristicType.ACO
+        ? [{ heuristic, direction: LoadingDirection.FORWARD }]
+        : directions.map(direction => ({ heuristic, direction })));
+
+    const iterationsPerRun = Math.ceil(iterations / runs.length);
+    const random = createRandom(seed);
+
+    for (const { heuristic, direction } of runs) {
+        let solutions;
+        if (heuristic === HeuristicType.ACO) {
+            solutions = runAntColony(config, { ants: 10, iterations: Math.max(1, Math.ceil(iterationsPerRun / 10)), seed });
+            solutions.forEach(solution => { solution.method = HeuristicType.ACO; });
+        } else {
+            solutions = generateMultipleSolutions(config, heuristic, iterationsPerRun, random, direction);
+        }
 
         for (const solution of solutions) {
             const hash = solution.getHash();
@@ -0,0 +1,275 @@
+/**
+ * MOLB Game Tool - Local Search
+ * Improves finished solutions with precedence-safe shift, swap, merge and split moves
+ */
+
+import { Station, Solution } from './models.js';
+import { validateSolution, requiredReplicas, assignReplicas, zoningAllows, toolsFit, variantsFit } from './feasibility.js';
+import { calculateAllScores } from './objectives.js';
+import { createRandom, randomInt } from './random.js';
+
+/**
+ * Move acceptance criteria
+ */
+export const AcceptanceType = {
+    HILL_CLIMBING: 'hill-climbing',
+    SIMULATED_ANNEALING: 'simulated-annealing'
+};
+
+/**
+ * Check whether a station with the given tasks respects takt time (for every product variant),
+ * tool limits and zoning
+ * A station with a task longer than the takt time runs in parallel copies (see requiredReplicas).
+ * @param {Task[]} tasks
+ * @param {number} taktTime
+ * @param {ProblemConfig} config
+ * @returns {boolean}
+ */
+function stationFits(tasks, taktTime, config) {
+    const capacity = taktTime * requiredReplicas(tasks, taktTime);
+    const time = tasks.reduce((sum, t) => sum + t.processingTime, 0);
+    return time <= capacity && variantsFit(tasks, config, capacity) &&
+        toolsFit(tasks, config) && zoningAllows(tasks, config);
+}
+
+/**
+ * Check whether a task may sit in station `target` given where all other tasks are
+ * All predecessors must be in the same or an earlier station, all successors in the same or a later one
+ */
+function precedenceAllows(taskId, target, stationOf, config) {
+    const preds = config.precedence.get(taskId) || [];
+    const succs = config.successors.get(taskId) || [];
+    return preds.every(p => stationOf.get(p) <= target) &&
+        succs.every(s => stationOf.get(s) >= target);
+}
+
+/**
+ * Check the station restrictions of every task; merges and splits renumber all later stations
+ */
+function restrictionsAllow(stations, config) {
+    if (config.stationRestrictions.size === 0) return true;
+    return stations.every((tasks, i) => tasks.every(t => config.isStationAllowed(t.id, i + 1)));
+}
+
+/**
+ * Map task id -> station index
+ */
+function buildStationIndex(stations) {
+    const stationOf = new Map();
+    stations.forEach((tasks, i) => tasks.forEach(t => stationOf.set(t.id, i)));
+    return stationOf;
+}
+
+/**
+ * Shift a random task to the previous or next station
+ * Moved backwards it is appended, moved forwards it is prepended, so in-station order stays valid
+ */
+function shiftMove(stations, taktTime, config, random) {
+    const from = randomInt(random, stations.length);
+    if (stations[from].length === 0) return null;
+
+    const to = from + (random() < 0.5 ? -1 : 1);
+    if (to < 0 || to >= stations.length) return null;
+
+    const task = stations[from][randomInt(random, stations[from].length)];
+    const stationOf = buildStationIndex(stations);
+    stationOf.set(task.id, to);
+    if (!precedenceAllows(task.id, to, stationOf, config)) return null;
+
+    const target = to < from ? [...stations[to], task] : [task, ...stations[to]];
+    if (!stationFits(target, taktTime, config)) return null;
+
+    const next = [...stations];
+    next[to] = target;
+    next[from] = stations[from].filter(t => t !== task);
+    return next.filter(tasks => tasks.length > 0);
+}
+
+/**
+ * Swap two tasks between two different stations
+ */
+function swapMove(stations, taktTime, config, random) {
+    const i = randomInt(random, stations.length);
+    const j = randomInt(random, stations.length);
+    if (i === j) return null;
+
+    const [early, late] = i < j ? [i, j] : [j, i];
+    const a = stations[early][randomInt(random, stations[early].length)];
+    const b = stations[late][randomInt(random, stations[late].length)];
+
+    const stationOf = buildStationIndex(stations);
+    stationOf.set(a.id, late);
+    stationOf.set(b.id, early);
+    if (!precedenceAllows(a.id, late, stationOf, config) ||
+        !precedenceAllows(b.id, early, stationOf, config)) {
+        return null;
+    }
+
+    // b joins the earlier station at the end, a joins the later station at the front
+    const earlyTasks = [...stations[early].filter(t => t !== a), b];
+    const lateTasks = [a, ...stations[late].filter(t => t !== b)];
+    if (!stationFits(earlyTasks, taktTime, config) || !stationFits(lateTasks, taktTime, config)) {
+        return null;
+    }
+
+    const next = [...stations];
+    next[early] = earlyTasks;
+    next[late] = lateTasks;
+    return next;
+}
+
+/**
+ * Merge a station into the next one
+ */
+function mergeMove(stations, taktTime, config, random) {
+    if (stations.length < 2) return null;
+
+    const i = randomInt(random, stations.length - 1);
+    const merged = [...stations[i], ...stations[i + 1]];
+    if (!stationFits(merged, taktTime, config)) return null;
+
+    const next = [...stations];
+    next.splice(i, 2, merged);
+    return next;
+}
+
+/**
+ * Split a station in two at a random position
+ */
+function splitMove(stations, taktTime, config, random) {
+    const i = randomInt(random, stations.length);
+    if (stations[i].length < 2) return null;
+
+    const cut = 1 + randomInt(random, stations[i].length - 1);
+    const next = [...stations];
+    next.splice(i, 1, stations[i].slice(0, cut), stations[i].slice(cut));
+    return next;
+}
+
+const MOVES = [shiftMove, shiftMove, swapMove, swapMove, mergeMove, splitMove];
+
+/**
+ * Build a validated Solution from station task lists, scored when valid
+ * Station i keeps the id, worker, side and position of station i of the original solution;
+ * a station added by a split gets none.
+ * @param {Task[][]} stations
+ * @param {Solution} original
+ */
+function toSolution(stations, original, config) {
+    const solution = new Solution(assignReplicas(stations.map((tasks, i) => {
+        const station = original.stations[i] || new Station(`WS${i + 1}`);
+        return station.withTasks(tasks);
+    }), original.cycleTime || config.taktTime));
+    solution.cycleTime = original.cycleTime;
+    validateSolution(solution, config);
+    if (solution.isValid) calculateAllScores(solution, config);
+    return solution;
+}
+
+/**
+ * Improve a solution with local search, by default on the weighted score
+ * @param {Solution} solution - a valid, scored solution
+ * @param {ProblemConfig} config
+ * @param {Object} options
+ * @param {string} options.acceptance - AcceptanceType
+ * @param {number} options.iterations - number of move attempts
+ * @param {number} options.initialTemperature - start temperature for simulated annealing
+ * @param {number} options.coolingRate - geometric cooling factor per iteration
+ * @param {number} options.seed
+ * @param {(solution: Solution) => number} options.objective - value to maximize on a scored solution
+ * @returns {{solution: Solution, improvement: Object, acceptedMoves: number, evaluations: number}}
+ */
+export function improveSolution(solution, config, options = {}) {
+    const {
+        acceptance = AcceptanceType.HILL_CLIMBING,
+        iterations = 500,
+        initialTemperature = 0.02,
+        coolingRate = 0.99,
+        seed = 1,
+        objective = (s) => s.scores.weighted
+    } = options;
+
+    const random = createRandom(seed);
+    const taktTime = solution.cycleTime || config.taktTime;
+
+    let current = solution.stations.map(s => [...s.tasks]);
+    let currentScore = objective(solution);
+    let best = solution;
+    let bestScore = currentScore;
+    let temperature = initialTemperature;
+    let acceptedMoves = 0;
+    let evaluations = 0;
+
+    for (let i = 0; i < iterations; i++) {
+        const move = MOVES[randomInt(random, MOVES.length)];
+        const next = move(current, taktTime, config, random);
+
+        let candidate = null;
+        if (next && restrictionsAllow(next, config)) {
+            candidate = toSolution(next, solution, config);
+            evaluations++;
+        }
+
+        // Only valid candidates compete (variant, stochastic and worker times included)
+        if (candidate && candidate.isValid) {
+            const score = objective(candidate);
+            const delta = score - currentScore;
+
+            const accept = delta > 0 || (acceptance === AcceptanceType.SIMULATED_ANNEALING &&
+                temperature > 0 && random() < Math.exp(delta / temperature));
+
+            if (accept) {
+                current = next;
+                currentScore = score;
+                acceptedMoves++;
+
+                if (score > bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            }
+        }
+
+        temperature *= coolingRate;
+    }
+
+    return {
+        solution: best,
+        improvement: {
+            economic: best.scores.economic - solution.scores.economic,
+            social: best.scores.social - solution.scores.social,
+            environmental: best.scores.environmental - solution.scores.environmental,
+            weighted: best.scores.weighted - solution.scores.weighted
+        },
+        acceptedMoves,
+        evaluations
+    };
+}
+
+/**
+ * Run local search on every solution of a Pareto front
+ * The originals are kept by the caller, so the front can only move outward
+ * @param {Solution[]} paretoFront
+ * @param {ProblemConfig} config
+ * @param {Object} options - passed to improveSolution
+ * @returns {{solutions: Solution[], improved: number, improvement: Object}} improved solutions and the average gain per objective
+ */
+export function improveParetoFront(paretoFront, config, options = {}) {
+    const { seed = 1 } = options;
+    const solutions = [];
+    const total = { economic: 0, social: 0, environmental: 0, weighted: 0 };
+
+    paretoFront.forEach((solution, i) => {
+        const result = improveSolution(solution, config, { ...options, seed: seed + i });
+        if (result.solution === solution) return;
+
+        solutions.push(result.solution);
+        Object.keys(total).forEach(key => { total[key] += result.improvement[key]; });
+    });
+
+    const count = Math.max(1, paretoFront.length);
+    const improvement = {};
+    Object.keys(total).forEach(key => { improvement[key] = total[key] / count; });
+
+    return { solutions, improved: solutions.length, improvement };
+}
@@ -0,0 +1,141 @@
+/**
+ * MOLB Game Tool - Lower Bounds
+ * Classic SALBP-1 bounds on the number of stations, plus bounds from the tool limits
+ */
+
+/**
+ * LB1 (capacity): total work divided by the cycle time
+ * @param {number[]} times
+ * @param {number} cycleTime
+ * @returns {number}
+ */
+export function capacityBound(times, cycleTime) {
+    return Math.ceil(times.reduce((a, b) => a + b, 0) / cycleTime);
+}
+
+/**
+ * LB2 (half-cycle counting): no two tasks longer than c/2 share a station,
+ * and tasks of exactly c/2 pair up at most two per station
+ * @param {number[]} times
+ * @param {number} cycleTime
+ * @returns {number}
+ */
+export function halfCycleBound(times, cycleTime) {
+    let big = 0;
+    let half = 0;
+    for (const t of times) {
+        if (t > cycleTime / 2) big++;
+        else if (t === cycleTime / 2) half++;
+    }
+    return big + Math.ceil(half / 2);
+}
+
+/**
+ * LB3 (third-cycle): tasks weighted by how many of them fit in one station
+ * (1 above 2c/3, 2/3 at 2c/3, 1/2 above c/3, 1/3 at c/3), weights scaled by 6
+ * @param {number[]} times
+ * @param {number} cycleTime
+ * @returns {number}
+ */
+export function thirdCycleBound(times, cycleTime) {
+    let thirds = 0;
+    for (const t of times) {
+        if (t > 2 * cycleTime / 3) thirds += 6;
+        else if (t === 2 * cycleTime / 3) thirds += 4;
+        else if (t > cycleTime / 3) thirds += 3;
+        else if (t === cycleTime / 3) thirds += 2;
+    }
+    return Math.ceil(thirds / 6);
+}
+
+/**
+ * Max of LB1, LB2 and LB3; cheap enough for every node of the branch-and-bound
+ * @param {number[]} times
+ * @param {number} cycleTime
+ * @returns {number}
+ */
+export function stationLowerBound(times, cycleTime) {
+    return Math.max(
+        capacityBound(times, cycleTime),
+        halfCycleBound(times, cycleTime),
+        thirdCycleBound(times, cycleTime)
+    );
+}
+
+/**
+ * Martello-Toth L2 bin-packing bound, ignoring precedence
+ * For each threshold a <= c/2: tasks above c - a each need their own station, tasks in (c/2, c - a]
+ * do too but leave room, and tasks in [a, c/2] must fill that room before opening new stations.
+ * @param {number[]} times
+ * @param {number} cycleTime
+ * @returns {number}
+ */
+export function binPackingBound(times, cycleTime) {
+    const thresholds = [0, ...times.filter(t => t <= cycleTime / 2)];
+    let best = 0;
+
+    for (const a of thresholds) {
+        let large = 0;      // tasks > c - a
+        let medium = 0;     // tasks in (c/2, c - a]
+        let mediumTime = 0;
+        let smallTime = 0;  // tasks in [a, c/2]
+
+        for (const t of times) {
+            if (t > cycleTime - a) {
+                large++;
+            } else if (t > cycleTime / 2) {
+                medium++;
+                mediumTime += t;
+            } else if (t >= a) {
+                smallTime += t;
+            }
+        }
+
+        const room = medium * cycleTime - mediumTime;
+        best = Math.max(best, large + medium + Math.max(0, Math.ceil((smallTime - room) / cycleTime)));
+    }
+
+    return best;
+}
+
+/**
+ * Lower bound from tool limits: each station holds at most `limit` tasks per tool
+ * @param {string[]} tools - tool types of the remaining tasks
+ * @param {Map<string, number>} toolLimits
+ * @returns {number}
+ */
+export function toolLowerBound(tools, toolLimits) {
+    const counts = new Map();
+    tools.forEach(tool => counts.set(tool, (counts.get(tool) || 0) + 1));
+
+    let lb = 0;
+    for (const [tool, count] of counts) {
+        const limit = toolLimits.get(tool);
+        if (limit !== undefined && limit > 0) {
+            lb = Math.max(lb, Math.ceil(count / limit));
+        }
+    }
+    return lb;
+}
+
+/**
+ * All station-count bounds for a config
+ * @param {ProblemConfig} config
+ * @param {number} cycleTime - defaults to the takt time
+ * @returns {{lb1: number, lb2: number, lb3: number, binPacking: number, tools: number, best: number}}
+ */
+export function computeLowerBounds(config, cycleTime = config.taktTime) {
+    const tasks = config.getTaskList();
+    const times = tasks.map(t => t.processingTime);
+
+    const bounds = {
+        lb1: capacityBound(times, cycleTime),
+        lb2: halfCycleBound(times, cycleTime),
+        lb3: thirdCycleBound(times, cycleTime),
+        binPacking: binPackingBound(times, cycleTime),
+        tools: toolLowerBound(tasks.map(t => t.toolType), config.toolLimits)
+    };
+    bounds.best = Math.max(...Object.values(bounds));
+
+    return bounds;
+}
@@ -3,11 +3,17 @@
  * Finds Pareto-optimal solutions automatically
  */
 
-import { Task, ProblemConfig, Solution, Station } from './models.js';
-import { hasCycles, topologicalSort, getAvailableTasks } from './precedence.js';
-import { validateSolution } from './feasibility.js';
+import { Task, ProblemConfig, Solution, Station, TaskSide, parseVariantValues } from './models.js';
+import { hasCycles, topologicalSort, getAvailableTasks, assignULineLegs, LineType } from './precedence.js';
+import { validateSolution, scheduleTwoSided } from './feasibility.js';
 import { calculateAllScores, getSolutionStatistics } from './objectives.js';
 import { findParetoFront, rankSolutions } from './pareto.js';
+import { listSolvers, getSolver, getDefaultOptions, getMethodLabel } from './solvers.js';
+import { compareFronts } from './enumeration.js';
+import { computeLowerBounds } from './lower-bounds.js';
+import { isStochastic, overloadProbability } from './stochastic.js';
+import { smoothWorkload } from './tabu.js';
+import { exportLP, exportMPS, importMilpSolution, MilpObjective } from './milp.js';
 import { renderPrecedenceGraph } from './graph.js';
 import { renderBestSolution, renderScoreBars, renderParetoChart, renderSolutionsTable, showToast } from './visualization.js';
 import { GraphEditor } from './graph-editor.js';
@@ -18,6 +24,24 @@ let paretoFront = [];
 let allSolutions = [];
 let graphEditor = null;
 let editorMode = false;
+let lastImprovement = null;
+let lastRunParameters = null;
+let searchWorker = null;
+let lastSearchStats = null;
+let lastEpsilonGrid = null;
+let lastFrontComparison = null;
+let lastStationRange = null;
+let solverOptions = {}; // solver id -> parameter values chosen in the panel
+
+// Parameter panel inputs that define a run (recorded in exports, restored on import)
+const PARAMETER_INPUTS = [
+    'maxTime', 'maxStdev', 'toolVariety', 'minStations', 'maxStations', 'variantMix',
+    'serviceLevel', 'chanceMethod', 'lineType', 'workerRoster',
+    'weightEcon', 'weightSocial', 'weightEnv',
+    'runSeed', 'solverSelect', 'targetStations', 'milpObjective'
+];
+
+const RUN_BUTTON_LABEL = '▶ SOLVER STARTEN';
 
 document.addEventListener('DOMContentLoaded', init);
 
@@ -28,13 +52,27 @@ function init() {
     config.setToolLimit('M2', 3);
     config.setToolLimit('M3', 3);
 
+    setupSolverPanel();
     setupEventListeners();
     renderGraph();
 }
 
 function setupEventListeners() {
-    document.getElementById('generateBtn').addEventListener('click', findParetoSolutions);
+    document.getElementById('generateBtn').addEventListener('click', runSelectedSolver);
+    document.getElementById('rerunSeedBtn').addEventListener('click', runSelectedSolver);
+    document.getElementById('cancelSearchBtn').addEventListener('click', cancelSearch);
+    document.getElementById('newSeedBtn').addEventListener('click', () => {
+        document.getElementById('runSeed').value = Math.floor(Math.random() * 1000000);
+    });
     document.getElementById('exportBtn').addEventListener('click', exportResults);
+    document.getElementById('lineType').addEventListener('change', (e) => {
+        config.lineType = e.target.value;
+    });
+    document.getElementById('variantMix').addEventListener('change', () => {
+        applyVariantMix();
+        renderGraph();
+    });
+    document.getElementById('workerRoster').addEventListener('change', applyWorkerRoster);
 
     // Editor mode toggle
     document.getElementById('editorModeBtn').addEventListener('click', toggleEditorMode);
@@ -50,6 +88,123 @@ function setupEventListeners() {
         document.getElementById('fileInput').click();
     });
     document.getElementById('fileInput').addEventListener('change', importGraph);
+
+    // MILP model export and solver solution import
+    document.getElementById('exportLpBtn').addEventListener('click', () => exportMilpModel('lp'));
+    document.getElementById('exportMpsBtn').addEventListener('click', () => exportMilpModel('mps'));
+    document.getElementById('importSolverBtn').addEventListener('click', () => {
+        document.getElementById('solverFileInput').click();
+    });
+    document.getElementById('solverFileInput').addEventListener('change', importSolverSolution);
+}
+
+// Fill the solver picker from the registry
+function setupSolverPanel() {
+    const select = document.getElementById('solverSelect');
+    select.innerHTML = listSolvers()
+        .map(solver => `<option value="${solver.id}">${solver.name}</option>`)
+        .join('');
+    select.addEventListener('change', renderSolverParameters);
+    renderSolverParameters();
+}
+
+/**
+ * Render the inputs of the selected solver's parameter schema
+ * Values are kept per solver, so switching back and forth does not lose them
+ */
+function renderSolverParameters() {
+    const solver = getSolver(document.getElementById('solverSelect').value);
+    const values = getSolverOptions(solver.id);
+
+    document.getElementById('solverDescription').textContent = solver.description;
+
+    const container = document.getElementById('solverParams');
+    container.innerHTML = solver.parameters.map(param => {
+        const value = values[param.key];
+        const input = param.type === 'select'
+            ? `<select class="input input-sm" data-key="${param.key}">
+                ${param.options.map(o => `<option value="${o.value}" ${o.value === value ? 'selected' : ''}>${o.label}</option>`).join('')}
+               </select>`
+            : `<input type="number" class="input input-sm" data-key="${param.key}" value="${value}"
+                ${param.min !== undefined ? `min="${param.min}"` : ''}
+                ${param.max !== undefined ? `max="${param.max}"` : ''}
+                ${param.step !== undefined ? `step="${param.step}"` : ''}
+                ${param.title ? `title="${param.title}"` : ''}>`;
+
+        return `<label class="param-label compact"><span>${param.label}</span>${input}</label>`;
+    }).join('');
+
+    container.querySelectorAll('[data-key]').forEach(input => {
+        input.addEventListener('change', () => {
+            const param = solver.parameters.find(p => p.key === input.dataset.key);
+            const value = param.type === 'number' ? parseFloat(input.value) : input.value;
+            values[param.key] = param.type === 'number' && isNaN(value) ? param.default : value;
+        });
+    });
+}
+
+// Current parameter values of a solver, starting from its schema defaults
+function getSolverOptions(solverId) {
+    if (!solverOptions[solverId]) {
+        solverOptions[solverId] = getDefaultOptions(solverId);
+    }
+    return solverOptions[solverId];
+}
+
+// Objective and station count for the MILP model, as chosen in the parameters panel
+function getMilpOptions() {
+    const objective = document.getElementById('milpObjective').value;
+    const maxStations = objective === MilpObjective.CYCLE_TIME
+        ? parseInt(document.getElementById('targetStations').value) || 8
+        : config.tasks.size;
+    return { objective, maxStations };
+}
+
+// Export the balancing problem as an LP or MPS file for an external MILP solver
+function exportMilpModel(format) {
+    if (config.tasks.size === 0) {
+        showToast('Geen graph om te exporteren', 'error');
+        return;
+    }
+
+    readParameters();
+    const options = getMilpOptions();
+    const text = format === 'mps' ? exportMPS(config, options) : exportLP(config, options);
+
+    const blob = new Blob([text], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `molb-model-${options.objective}.${format}`;
+    link.click();
+
+    showToast(`Model geëxporteerd (${options.maxStations} stations)`, 'success');
+}
+
+// Read a solver solution file, validate it and add it to the results
+function importSolverSolution(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+        try {
+            readParameters();
+            const solution = importMilpSolution(event.target.result, config, getMilpOptions().maxStations);
+            validateSolution(solution, config);
+
+            if (!solution.isValid) {
+                showToast(`Ongeldige oplossing: ${solution.validationErrors[0]}`, 'error');
+                return;
+            }
+
+            addSolutionsToResults([solution]);
+            showToast(`Solver-oplossing met ${solution.stations.length} stations geladen`, 'success');
+        } catch (err) {
+            showToast('Ongeldig bestand: ' + err.message, 'error');
+        }
+    };
+    reader.readAsText(file);
+    e.target.value = ''; // Reset input
 }
 
 // Export graph to JSON file
@@ -62,13 +217,21 @@ function exportGraph() {
     const data = {
         tasks: Array.from(config.tasks.values()).map(t => ({
             id: t.id,
-            processingTime: t.processingTime,
-            toolType: t.toolType
+            processingTime: t.baseTime ?? t.processingTime,
+            toolType: t.toolType,
+            variantTimes: t.variantTimes || undefined,
+            timeStdev: t.timeStdev || undefined,
+            timeRange: t.timeRange || undefined,
+            side: t.side && t.side !== TaskSide.EITHER ? t.side : undefined,
+            workerTimes: t.workerTimes || undefined
         })),
         precedence: Array.from(config.precedence.entries()).flatMap(([to, froms]) =>
             froms.map(from => [from, to])
         ),
-        positions: graphEditor ? Array.from(graphEditor.nodePositions.entries()) : []
+        zoning: config.zoning.map(({ a, b, type }) => [a, b, type]),
+        stationRestrictions: Object.fromEntries(config.stationRestrictions),
+        positions: graphEditor ? Array.from(graphEditor.nodePositions.entries()) : [],
+        parameters: collectParameters()
     };
 
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -93,10 +256,17 @@ function importGraph(e) {
             // Clear existing
             config.tasks.clear();
             config.precedence.clear();
+            config.zoning = [];
+            config.stationRestrictions.clear();
 
             // Load tasks
             data.tasks.forEach(t => {
-                config.addTask(new Task(t.id, t.processingTime, t.toolType, 1));
+                const task = new Task(t.id, t.processingTime, t.toolType, 1, t.variantTimes || null);
+                task.timeStdev = t.timeStdev || 0;
+                task.timeRange = t.timeRange || null;
+                task.side = t.side || TaskSide.EITHER;
+                task.workerTimes = t.workerTimes || null;
+                config.addTask(task);
             });
 
             // Load precedence
@@ -104,6 +274,22 @@ function importGraph(e) {
                 config.addPrecedence(from, to);
             });
 
+            // Load zoning
+            (data.zoning || []).forEach(([a, b, type]) => {
+                config.addZoning(a, b, type);
+            });
+
+            // Load station restrictions
+            Object.entries(data.stationRestrictions || {}).forEach(([taskId, restriction]) => {
+                config.setStationRestriction(taskId, restriction);
+            });
+
+            if (data.parameters) {
+                applyParameters(data.parameters);
+            }
+            applyVariantMix();
+            applyWorkerRoster();
+
             // Initialize editor with positions
             if (graphEditor && data.positions) {
                 graphEditor.nodePositions.clear();
@@ -211,180 +397,272 @@ function countEdges() {
 }
 
 /**
- * Generate many solutions and find Pareto front
+ * Run the solver selected in the parameters panel
+ * Solvers run in a Web Worker; solvers with progress stream intermediate fronts back.
+ * A merging solver adds to the current results, the others start a new result set.
  */
-async function findParetoSolutions() {
+function runSelectedSolver() {
+    if (searchWorker) return;
+
+    const solver = getSolver(document.getElementById('solverSelect').value);
+    const merge = solver.capabilities.merge;
+
     const button = document.getElementById('generateBtn');
     button.disabled = true;
-    button.innerHTML = '<span class="spinner"></span> Zoeken...';
-    document.getElementById('emptyResults').style.display = 'none';
+    button.innerHTML = '<span class="spinner"></span> Rekenen...';
+    document.getElementById('emptyResults')?.style.setProperty('display', 'none');
 
-    // Get weights from UI
-    const wE = parseInt(document.getElementById('weightEcon').value) || 9;
-    const wS = parseInt(document.getElementById('weightSocial').value) || 6;
-    const wEnv = parseInt(document.getElementById('weightEnv').value) || 8;
-    const total = wE + wS + wEnv;
-    config.weights = { economic: wE / total, social: wS / total, environmental: wEnv / total };
+    const { maxStdev, maxTime, toolVariety, minStations, maxStations, seed } = readParameters();
 
-    const maxStdev = parseInt(document.getElementById('maxStdev').value) || 24;
-    const maxTime = parseInt(document.getElementById('maxTime').value) || 47;
-    const toolVariety = parseInt(document.getElementById('toolVariety').value) || 3;
+    if (!merge) {
+        allSolutions = [];
+        paretoFront = [];
+        lastImprovement = null;
+        lastSearchStats = null;
+        lastEpsilonGrid = null;
+        lastFrontComparison = null;
+        lastStationRange = null;
+    }
+    showSearchProgress(0, 1, solver.name);
+
+    searchWorker = new Worker(new URL('./search-worker.js', import.meta.url), { type: 'module' });
+
+    searchWorker.onmessage = (e) => {
+        const message = e.data;
+
+        if (message.type === 'progress') {
+            const info = message.evaluations !== undefined
+                ? `${message.evaluations} evaluaties · ${message.solutions} in archief`
+                : `${message.done}/${message.total} pogingen · ${message.solutions} oplossingen`;
+            showSearchProgress(message.done, message.total, `${info} · ${(message.elapsedMs / 1000).toFixed(1)}s`);
+            if (!merge && message.paretoFront.length > 0) {
+                // Render the intermediate front while the search continues
+                paretoFront = message.paretoFront.map(json => Solution.fromJSON(json, config.tasks));
+                paretoFront.sort((a, b) => b.scores.weighted - a.scores.weighted);
+                allSolutions = [...paretoFront];
+                renderResults();
+            }
+        } else if (message.type === 'done') {
+            finishSearch();
 
-    // Set config values for scoring
-    config.maxStdev = maxStdev;
-    config.taktTime = maxTime;
+            if (message.error) {
+                showToast(message.error, 'error');
+                return;
+            }
 
-    await new Promise(r => setTimeout(r, 50));
+            const solutions = message.solutions.map(json => Solution.fromJSON(json, config.tasks));
+            const summary = message.message ||
+                `${solutions.length} oplossingen, ${message.paretoFront.length} Pareto-optimaal (${(message.elapsedMs / 1000).toFixed(1)}s)`;
 
-    try {
-        allSolutions = [];
-        const seen = new Set();
-
-        // Generate solutions for different station counts (10-30)
-        for (let numStations = 10; numStations <= 25; numStations++) {
-            for (let iter = 0; iter < 100; iter++) {
-                const sol = generateSolution(numStations, iter, maxStdev, maxTime, toolVariety);
-                if (sol) {
-                    const hash = sol.getHash();
-                    if (!seen.has(hash)) {
-                        seen.add(hash);
-                        validateSolution(sol, config);
-                        if (sol.isValid) {
-                            calculateAllScores(sol, config);
-                            allSolutions.push(sol);
-                        }
-                    }
-                }
+            if (solver.capabilities.compare) {
+                lastFrontComparison = compareWithCurrentFront(solutions, message.metadata.isComplete);
             }
-        }
 
-        if (allSolutions.length === 0) {
-            showToast('Geen geldige oplossingen gevonden', 'error');
-            button.disabled = false;
-            button.innerHTML = '▶ ZOEK PARETO OPLOSSINGEN';
-            return;
-        }
-
-        // Find Pareto front
-        paretoFront = findParetoFront(allSolutions);
+            if (merge) {
+                addSolutionsToResults(solutions);
+                showToast(summary, solutions.length > 0 ? 'success' : 'error');
+                return;
+            }
 
-        // Sort Pareto by weighted score
-        paretoFront.sort((a, b) => b.scores.weighted - a.scores.weighted);
+            allSolutions = solutions;
+            const byHash = new Map(allSolutions.map(s => [s.getHash(), s]));
+            paretoFront = message.paretoFront.map(json => byHash.get(Solution.fromJSON(json, config.tasks).getHash()));
+            lastImprovement = message.metadata.improvement || null;
+            lastSearchStats = message.metadata.stats || null;
+            lastEpsilonGrid = message.metadata.epsilonGrid || null;
+            lastStationRange = message.metadata.stationRange || null;
+
+            if (allSolutions.length === 0) {
+                showToast('Geen geldige oplossingen gevonden', 'error');
+                return;
+            }
 
-        renderResults();
-        showToast(`${allSolutions.length} oplossingen, ${paretoFront.length} Pareto-optimaal`, 'success');
+            renderResults();
+            showToast(summary, 'success');
+        } else if (message.type === 'error') {
+            finishSearch();
+            showToast('Fout: ' + message.message, 'error');
+        }
+    };
 
-    } catch (error) {
+    searchWorker.onerror = (error) => {
         console.error(error);
+        finishSearch();
         showToast('Fout: ' + error.message, 'error');
-    }
+    };
 
-    button.disabled = false;
-    button.innerHTML = '▶ ZOEK PARETO OPLOSSINGEN';
+    searchWorker.postMessage({
+        solverId: solver.id,
+        config: config.toJSON(),
+        options: { seed, maxStdev, maxTime, toolVariety, minStations, maxStations, ...getSolverOptions(solver.id) }
+    });
 }
 
 /**
- * Generate a single feasible solution
+ * Measure the current Pareto front against an exact front
+ * The current front is rescored first, so both use the parameters of this run
+ * @param {Solution[]} exactFront
+ * @param {boolean} isComplete - false if the enumeration hit its time limit
+ * @returns {Object|null} compareFronts result, or null without a current front
  */
-function generateSolution(targetStations, seed, maxStdev, maxTime, toolVariety) {
-    const solution = new Solution();
-    const assigned = new Set();
-    const taskList = Array.from(config.tasks.values());
-
-    const totalTime = taskList.reduce((s, t) => s + t.processingTime, 0);
-    const idealTimePerStation = Math.min(totalTime / targetStations, maxTime);
-
-    // Build successor count for priority
-    const successorCount = new Map();
-    for (const task of taskList) {
-        let count = 0;
-        const queue = [task.id];
-        const visited = new Set();
-        while (queue.length > 0) {
-            const curr = queue.shift();
-            for (const [to, froms] of config.precedence) {
-                if (froms.includes(curr) && !visited.has(to)) {
-                    visited.add(to);
-                    queue.push(to);
-                    count++;
-                }
-            }
-        }
-        successorCount.set(task.id, count);
-    }
+function compareWithCurrentFront(exactFront, isComplete) {
+    if (paretoFront.length === 0) return null;
+
+    const rescored = paretoFront.map(sol => {
+        const copy = sol.clone();
+        calculateAllScores(copy, config);
+        return copy;
+    });
 
-    for (let s = 0; s < targetStations && assigned.size < taskList.length; s++) {
-        const station = new Station(`WS${s + 1}`);
-        let stationTime = 0;
-        const stationTools = new Set();
+    return { ...compareFronts(exactFront, findParetoFront(rescored)), isComplete };
+}
 
-        while (true) {
-            const available = taskList.filter(t => {
-                if (assigned.has(t.id)) return false;
-                const preds = config.precedence.get(t.id) || [];
-                return preds.every(p => assigned.has(p));
-            });
+/**
+ * Stop a running search, keeping the last streamed front
+ */
+function cancelSearch() {
+    if (!searchWorker) return;
+
+    finishSearch();
+    showToast(`Zoeken geannuleerd, ${paretoFront.length} Pareto-oplossingen behouden`, 'info');
+}
 
-            if (available.length === 0) break;
+function finishSearch() {
+    searchWorker?.terminate();
+    searchWorker = null;
 
-            // Score tasks
-            const scored = available.map(t => {
-                let score = 0;
-                const remaining = idealTimePerStation - stationTime;
+    const button = document.getElementById('generateBtn');
+    button.disabled = false;
+    button.innerHTML = RUN_BUTTON_LABEL;
+    document.getElementById('searchProgress').style.display = 'none';
+}
 
-                if (t.processingTime <= remaining) score += 100;
-                score += successorCount.get(t.id) * 3;
-                if (stationTools.has(t.toolType)) score += 30;
+function showSearchProgress(done, total, info) {
+    document.getElementById('searchProgress').style.display = 'block';
+    document.getElementById('searchProgressFill').style.width = `${(done / total) * 100}%`;
+    document.getElementById('searchProgressInfo').textContent = info;
+}
 
-                // Tool variety constraint
-                if (!stationTools.has(t.toolType) && stationTools.size >= toolVariety) {
-                    score -= 500;
-                }
+/**
+ * Read weights and constraints from the parameters panel into the config
+ * Also records the full parameter set of this run for the exports
+ * @returns {{maxStdev: number, maxTime: number, toolVariety: number, minStations: number, maxStations: number, seed: number}}
+ */
+function readParameters() {
+    // Get weights from UI
+    const wE = parseInt(document.getElementById('weightEcon').value) || 9;
+    const wS = parseInt(document.getElementById('weightSocial').value) || 6;
+    const wEnv = parseInt(document.getElementById('weightEnv').value) || 8;
+    const total = wE + wS + wEnv;
+    config.weights = { economic: wE / total, social: wS / total, environmental: wEnv / total };
 
-                score += (Math.sin(seed * t.processingTime) + 1) * 20;
+    const maxStdev = parseInt(document.getElementById('maxStdev').value) || 24;
+    const maxTime = parseInt(document.getElementById('maxTime').value) || 47;
+    const toolVariety = parseInt(document.getElementById('toolVariety').value) || 3;
+    // 0 leaves the station range to the solver (see computeStationRange)
+    const minStations = parseInt(document.getElementById('minStations').value) || 0;
+    const maxStations = parseInt(document.getElementById('maxStations').value) || 0;
 
-                return { task: t, score };
-            });
+    const seedValue = parseInt(document.getElementById('runSeed').value);
+    const seed = isNaN(seedValue) ? 1 : seedValue;
 
-            scored.sort((a, b) => b.score - a.score);
-            const best = scored[0];
+    // Set config values for scoring
+    config.maxStdev = maxStdev;
+    config.taktTime = maxTime;
+    applyVariantMix();
 
-            // Stop if adding would exceed max time
-            if (stationTime + best.task.processingTime > maxTime) {
-                break;
-            }
+    const serviceLevel = parseFloat(document.getElementById('serviceLevel').value);
+    config.serviceLevel = serviceLevel > 0 ? Math.min(serviceLevel, 99.99) / 100 : null;
+    config.chanceMethod = document.getElementById('chanceMethod').value;
+    config.lineType = document.getElementById('lineType').value;
+    applyWorkerRoster();
 
-            // Check tool variety
-            if (!stationTools.has(best.task.toolType) && stationTools.size >= toolVariety) {
-                break;
-            }
+    lastRunParameters = collectParameters();
 
-            station.addTask(best.task);
-            assigned.add(best.task.id);
-            stationTime += best.task.processingTime;
-            stationTools.add(best.task.toolType);
-        }
+    return { maxStdev, maxTime, toolVariety, minStations, maxStations, seed };
+}
 
-        if (station.tasks.length > 0) {
-            solution.addStation(station);
-        }
+/**
+ * Set the product mix from the parameters panel; tasks with variant times are re-averaged
+ */
+function applyVariantMix() {
+    config.setVariants(parseVariantValues(document.getElementById('variantMix').value));
+}
+
+/**
+ * Set the worker roster from the parameters panel; an empty roster turns worker assignment off
+ */
+function applyWorkerRoster() {
+    const names = document.getElementById('workerRoster').value.split(/[,;]/).map(n => n.trim()).filter(Boolean);
+    config.workers = [...new Set(names)];
+}
+
+/**
+ * Snapshot of every parameter panel input
+ * The selected solver's options are included as "solverId.key"
+ * @returns {Object} input id -> value
+ */
+function collectParameters() {
+    const parameters = {};
+    for (const id of PARAMETER_INPUTS) {
+        const input = document.getElementById(id);
+        if (!input) continue;
+        parameters[id] = input.type === 'number' ? Number(input.value) : input.value;
     }
 
-    if (assigned.size !== taskList.length) return null;
+    const solverId = parameters.solverSelect;
+    for (const [key, value] of Object.entries(getSolverOptions(solverId))) {
+        parameters[`${solverId}.${key}`] = value;
+    }
+    return parameters;
+}
 
-    // Check max time per station constraint
-    const maxStationTime = Math.max(...solution.stations.map(s => s.totalTime));
-    if (maxStationTime > maxTime) return null;
+/**
+ * Restore parameter panel inputs from a snapshot
+ * @param {Object} parameters - input id -> value
+ */
+function applyParameters(parameters) {
+    for (const [id, value] of Object.entries(parameters)) {
+        const [solverId, key] = id.split('.');
+        if (key !== undefined && getSolver(solverId)) {
+            getSolverOptions(solverId)[key] = value;
+            continue;
+        }
+
+        const input = document.getElementById(id);
+        if (input && PARAMETER_INPUTS.includes(id)) input.value = value;
+    }
+    renderSolverParameters();
+}
 
-    // Check max stdev constraint
-    const times = solution.stations.map(s => s.totalTime);
-    const mean = times.reduce((a, b) => a + b, 0) / times.length;
-    const variance = times.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / times.length;
-    const stdev = Math.sqrt(variance);
+/**
+ * Validate, score and merge extra solutions into the current results
+ * @param {Solution[]} solutions
+ * @returns {Solution[]} the solutions that were valid and new
+ */
+function addSolutionsToResults(solutions) {
+    const seen = new Set(allSolutions.map(s => s.getHash()));
+    const added = [];
+
+    for (const sol of solutions) {
+        if (seen.has(sol.getHash())) continue;
+        validateSolution(sol, config);
+        if (!sol.isValid) continue;
+
+        calculateAllScores(sol, config);
+        seen.add(sol.getHash());
+        allSolutions.push(sol);
+        added.push(sol);
+    }
 
-    if (stdev > maxStdev) return null;
+    paretoFront = findParetoFront(allSolutions);
+    paretoFront.sort((a, b) => b.scores.weighted - a.scores.weighted);
 
-    return solution;
+    if (allSolutions.length > 0) {
+        document.getElementById('emptyResults')?.style.setProperty('display', 'none');
+        renderResults();
+    }
+    return added;
 }
 
 function renderResults() {
@@ -421,8 +699,22 @@ function renderResults() {
         <div class="stat-value">${((stats.bestScore || 0) * 100).toFixed(1)}%</div>
         <div class="stat-label">Beste Score</div>
       </div>
+      ${lastStationRange ? `
+      <div class="stat-card" title="Ondergrens ${lastStationRange.lowerBound}, greedy ${lastStationRange.greedy} stations">
+        <div class="stat-value">${lastStationRange.min}-${lastStationRange.max}</div>
+        <div class="stat-label">Stations doorzocht${lastStationRange.isAutomatic ? ' (auto)' : ''}</div>
+      </div>` : ''}
     </div>
     
+    ${lastSearchStats ? `
+    <div class="search-report">
+        ⏱️ ${lastSearchStats.evaluations} evaluaties (${Math.round(lastSearchStats.evaluationsPerSecond)}/s),
+        front laatst gewijzigd na ${(lastSearchStats.lastChangeMs / 1000).toFixed(1)}s
+    </div>` : ''}
+    ${lastImprovement ? renderImprovementReport(lastImprovement) : ''}
+    ${lastEpsilonGrid ? renderEpsilonGrid(lastEpsilonGrid) : ''}
+    ${lastFrontComparison ? renderFrontComparison(lastFrontComparison) : ''}
+    
     <h3 style="margin: 20px 0 10px; color: var(--accent-secondary);">🏆 Alle Pareto Oplossingen</h3>
     
     ${renderAllSolutionsList(paretoFront, 'pareto')}
@@ -437,31 +729,154 @@ function renderResults() {
   `;
 }
 
+function renderImprovementReport(report) {
+    const fmt = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(3)}`;
+    return `
+    <div class="search-report">
+        🔧 Lokaal zoeken verbeterde ${report.improved} oplossingen (gemiddeld per Pareto-oplossing):
+        E ${fmt(report.improvement.economic)},
+        S ${fmt(report.improvement.social)},
+        M ${fmt(report.improvement.environmental)},
+        totaal ${fmt(report.improvement.weighted)}
+    </div>`;
+}
+
+const OBJECTIVE_LABELS = { economic: 'E', social: 'S', environmental: 'M' };
+
+/**
+ * Table of the epsilon-constraint grid: the best primary score per cell, ✕ where no solution was found
+ */
+function renderEpsilonGrid(grid) {
+    const { primary, rows, columns, levels, cells } = grid;
+    const size = levels[columns].length;
+
+    const header = levels[columns].map(b => `<th>${OBJECTIVE_LABELS[columns]} ≥ ${b.toFixed(2)}</th>`).join('');
+    const body = levels[rows].map((a, r) => {
+        const row = cells.slice(r * size, (r + 1) * size).map(cell =>
+            cell.value === null
+                ? '<td class="infeasible">✕</td>'
+                : `<td>${cell.value.toFixed(3)}</td>`
+        ).join('');
+        return `<tr><th>${OBJECTIVE_LABELS[rows]} ≥ ${a.toFixed(2)}</th>${row}</tr>`;
+    }).join('');
+
+    return `
+    <div class="search-report">
+        📐 Epsilon-constraint: max ${OBJECTIVE_LABELS[primary]} per cel
+        <table class="epsilon-grid">
+            <thead><tr><th></th>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    </div>`;
+}
+
+function renderFrontComparison(comparison) {
+    const total = comparison.found + comparison.missing.length;
+    const missing = comparison.missing.slice(0, 10).map(sol =>
+        `<li>${sol.stations.length} stations · E ${sol.scores.economic.toFixed(3)} · S ${sol.scores.social.toFixed(3)} · M ${sol.scores.environmental.toFixed(3)}</li>`
+    ).join('');
+
+    return `
+    <div class="search-report">
+        🔬 Heuristische front vs. exacte front${comparison.isComplete ? '' : ' (onvolledig)'}:
+        ${comparison.found}/${total} punten gevonden (${(comparison.coverage * 100).toFixed(0)}%),
+        hypervolume-gap ${(comparison.hypervolumeGap * 100).toFixed(1)}%
+        ${missing ? `<ul class="missing-points">${missing}</ul>` : ''}
+        ${comparison.missing.length > 10 ? `... en nog ${comparison.missing.length - 10} ontbrekende punten` : ''}
+    </div>`;
+}
+
+/**
+ * Station count with the best lower bound beside it; ✓ when the bound is reached
+ * @param {Solution} sol
+ * @param {Map<number, Object>} boundsCache - cycle time -> computeLowerBounds result
+ */
+function renderStationCount(sol, boundsCache) {
+    const cycleTime = sol.cycleTime || config.taktTime;
+    if (!boundsCache.has(cycleTime)) {
+        boundsCache.set(cycleTime, computeLowerBounds(config, cycleTime));
+    }
+    const b = boundsCache.get(cycleTime);
+    const title = `LB1 ${b.lb1} · LB2 ${b.lb2} · LB3 ${b.lb3} · bin packing ${b.binPacking} · gereedschap ${b.tools}`;
+
+    // The bounds count physical stations, so parallel copies count too
+    const count = sol.stations.reduce((sum, s) => sum + (s.replicas || 1), 0);
+
+    return `${count} stations
+        <span class="lower-bound" title="${title}">(LB ${b.best}${count === b.best ? ' ✓' : ''})</span>`;
+}
+
+// Mated left/right stations of a two-sided line side by side, one pair per position
+function renderStationPairs(sol, stationCells) {
+    const positions = [...new Set(sol.stations.map(s => s.position))].sort((a, b) => a - b);
+    const cellAt = (position, side) => {
+        const index = sol.stations.findIndex(s => s.position === position && s.side === side);
+        return index >= 0 ? stationCells[index] : '<div class="station-set station-empty">—</div>';
+    };
+
+    return positions.map(position =>
+        `<div class="station-pair" title="Positie ${position}">
+            ${cellAt(position, TaskSide.LEFT)}
+            ${cellAt(position, TaskSide.RIGHT)}
+        </div>`
+    ).join('');
+}
+
+// Mixed-model station times per variant, overloaded variants highlighted
+function renderVariantTimes(variantStationTimes, index, cycleTime) {
+    const entries = Object.entries(variantStationTimes);
+    if (entries.length === 0) return '';
+
+    return `<span class="variant-times">${entries.map(([variant, times]) =>
+        `<span class="${times[index] > cycleTime ? 'variant-overload' : ''}">${variant} ${times[index]}s</span>`
+    ).join(' · ')}</span>`;
+}
+
 function renderAllSolutionsList(solutions, listType = 'pareto') {
     if (solutions.length === 0) return '';
 
+    const boundsCache = new Map();
+
     const cards = solutions.map((sol, i) => {
-        const stationSets = sol.stations.map(s =>
+        const { variantStationTimes } = getSolutionStatistics(sol, config);
+        const cycleTime = sol.cycleTime || config.taktTime;
+
+        // Two-sided lines: finish times include waits for the mated station
+        const twoSided = sol.stations.some(s => s.side);
+        const schedule = twoSided ? scheduleTwoSided(sol, config) : null;
+        // Staffed stations show their worker's times
+        const stationTime = (s) => {
+            const idle = schedule?.idle.get(s.id);
+            const time = config.getStationTime(s);
+            return idle > 0 ? `${time}s + ${idle}s wachten` : `${time}s`;
+        };
+
+        const stationCells = sol.stations.map((s, index) =>
             `<div class="station-set">
-                <span class="station-id">${s.id}</span>
+                <span class="station-id" ${s.replicas > 1 ? `title="${s.replicas} parallelle stations"` : ''}>${s.id}${s.replicas > 1 ? ` ×${s.replicas}` : ''}</span>
+                ${s.worker ? `<span class="station-worker" title="Toegewezen werknemer">👷 ${s.worker}</span>` : ''}
                 <span class="station-tasks">${s.getTaskIds().join(', ')}</span>
-                <span class="station-time">${s.totalTime}s</span>
+                <span class="station-time">${stationTime(s)}</span>
+                ${renderVariantTimes(variantStationTimes, index, cycleTime)}
             </div>`
-        ).join('');
+        );
+        const stationSets = twoSided ? renderStationPairs(sol, stationCells) : stationCells.join('');
 
         return `
         <div class="solution-card">
             <div class="solution-header">
                 <span class="solution-rank">#${i + 1}</span>
                 <span class="solution-score">${(sol.scores.weighted * 100).toFixed(1)}%</span>
+                ${sol.method ? `<span class="solution-method">${getMethodLabel(sol.method)}</span>` : ''}
                 <button class="btn btn-sm view-graph-btn" data-list-type="${listType}" data-solution-index="${i}">🔗 Graph</button>
                 <button class="btn btn-sm download-solution-btn" data-list-type="${listType}" data-solution-index="${i}">📥 CSV</button>
+                <button class="btn btn-sm smooth-solution-btn" data-list-type="${listType}" data-solution-index="${i}">⚖️ Smooth</button>
             </div>
             <div class="solution-scores">
                 <span>E: ${sol.scores.economic.toFixed(2)}</span>
                 <span>S: ${sol.scores.social.toFixed(2)}</span>
                 <span>M: ${sol.scores.environmental.toFixed(2)}</span>
-                <span class="solution-stations">${sol.stations.length} stations</span>
+                <span class="solution-stations">${listType === 'pareto' ? renderStationCount(sol, boundsCache) : `${sol.stations.length} stations`}${sol.cycleTime ? ` · C ${sol.cycleTime}s` : ''}</span>
             </div>
             <div class="station-sets">${stationSets}</div>
         </div>`;
@@ -472,15 +887,19 @@ function renderAllSolutionsList(solutions, listType = 'pareto') {
         document.querySelectorAll(`.download-solution-btn[data-list-type="${listType}"]`).forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const index = parseInt(e.currentTarget.dataset.solutionIndex);
-                const list = listType === 'pareto' ? paretoFront : allSolutions.filter(s => !new Set(paretoFront.map(p => p.getHash())).has(s.getHash())).sort((a, b) => b.scores.weighted - a.scores.weighted);
-                downloadSolutionCSV(list[index], index + 1);
+                downloadSolutionCSV(getSolutionList(listType)[index], index + 1);
             });
         });
         document.querySelectorAll(`.view-graph-btn[data-list-type="${listType}"]`).forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const index = parseInt(e.currentTarget.dataset.solutionIndex);
-                const list = listType === 'pareto' ? paretoFront : allSolutions.filter(s => !new Set(paretoFront.map(p => p.getHash())).has(s.getHash())).sort((a, b) => b.scores.weighted - a.scores.weighted);
-                showSolutionGraph(list[index], index + 1);
+                showSolutionGraph(getSolutionList(listType)[index], index + 1);
+            });
+        });
+        document.querySelectorAll(`.smooth-solution-btn[data-list-type="${listType}"]`).forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const index = parseInt(e.currentTarget.dataset.solutionIndex);
+                smoothSolution(getSolutionList(listType)[index]);
             });
         });
     }, 0);
@@ -488,16 +907,44 @@ function renderAllSolutionsList(solutions, listType = 'pareto') {
     return `<div class="solutions-list">${cards}</div>`;
 }
 
+// Solutions behind a rendered list, in display order
+function getSolutionList(listType) {
+    if (listType === 'pareto') return paretoFront;
+
+    const paretoHashes = new Set(paretoFront.map(p => p.getHash()));
+    return allSolutions
+        .filter(s => !paretoHashes.has(s.getHash()))
+        .sort((a, b) => b.scores.weighted - a.scores.weighted);
+}
+
+// Balance station workloads of one solution with tabu search
+function smoothSolution(solution) {
+    const result = smoothWorkload(solution, config);
+
+    if (result.solution === solution) {
+        showToast(`Geen betere verdeling gevonden (stdev ${result.initialStdev.toFixed(2)})`, 'info');
+        return;
+    }
+
+    addSolutionsToResults([result.solution]);
+    showToast(`Stdev ${result.initialStdev.toFixed(2)} → ${result.stdev.toFixed(2)}`, 'success');
+}
+
+// Quote a CSV field, so commas in values like the variant mix or the worker roster stay in one column
+function csvField(value) {
+    return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
 // Download individual solution as CSV
 function downloadSolutionCSV(solution, solutionNum) {
-    let csv = 'Workstations,Assigned Tasks\n';
+    let csv = 'Workstations,Assigned Tasks,Parallel Stations,Worker\n';
 
     // Collect all tasks with their workstation
     const allTasks = [];
     solution.stations.forEach(station => {
         station.getTaskIds().forEach(taskId => {
             const taskNum = parseInt(taskId.replace(/\D/g, ''));
-            allTasks.push({ station: station.id, taskId, taskNum });
+            allTasks.push({ station: station.id, replicas: station.replicas || 1, worker: station.worker || '', taskId, taskNum });
         });
     });
 
@@ -505,8 +952,8 @@ function downloadSolutionCSV(solution, solutionNum) {
     allTasks.sort((a, b) => a.taskNum - b.taskNum);
 
     // Write rows
-    allTasks.forEach(({ station, taskNum }) => {
-        csv += `${station},Task ${taskNum}\n`;
+    allTasks.forEach(({ station, replicas, worker, taskNum }) => {
+        csv += `${station},Task ${taskNum},${replicas},${csvField(worker)}\n`;
     });
 
     // Download
@@ -558,11 +1005,37 @@ function showSolutionGraph(solution, solutionNum) {
     `;
     document.body.appendChild(modal);
 
-    // Add legend
+    // On a U-line, tasks on the return leg are drawn dashed and stations serving both legs are marked
+    const legs = config.lineType === LineType.U_SHAPED ? assignULineLegs(solution, config).legs : new Map();
+    const servesBothLegs = (station) =>
+        station.tasks.some(t => legs.get(t.id) === 'front') && station.tasks.some(t => legs.get(t.id) === 'back');
+
+    // Add legend, with each station's overload probability when task times are stochastic
     const legend = modal.querySelector('.graph-modal-legend');
+    const stochastic = config.getTaskList().some(isStochastic);
+    const cycleTime = solution.cycleTime || config.taktTime;
     solution.stations.forEach((station, i) => {
         const color = WS_COLORS[i % WS_COLORS.length];
-        legend.innerHTML += `<span class="legend-item" style="background:${color}">${station.id}</span>`;
+        // Parallel copies share the load, and a staffed station runs at its worker's task times
+        const tasks = station.worker
+            ? station.tasks.map(t => ({ ...t, processingTime: config.getWorkerTime(t, station.worker) }))
+            : station.tasks;
+        const capacity = cycleTime * (station.replicas || 1);
+        const risk = stochastic ? overloadProbability(tasks, capacity, config.chanceMethod) : null;
+        const both = servesBothLegs(station);
+
+        let label = station.id;
+        const titles = [];
+        if (both) {
+            label += ' ⇄';
+            titles.push(`${station.id} bedient beide benen van de U`);
+        }
+        if (risk !== null) {
+            label += ` · P(>C) ${(risk * 100).toFixed(1)}%`;
+            titles.push(`Kans dat ${station.id} de cyclustijd van ${capacity}s overschrijdt`);
+        }
+
+        legend.innerHTML += `<span class="legend-item${both ? ' legend-both-legs' : ''}" style="background:${color}" title="${titles.join(' · ')}">${label}</span>`;
     });
 
     // Close handlers
@@ -635,7 +1108,9 @@ function showSolutionGraph(solution, solutionNum) {
         ctx.fill();
         ctx.strokeStyle = '#fff';
         ctx.lineWidth = 2;
+        if (legs.get(id) === 'back') ctx.setLineDash([4, 3]);
         ctx.stroke();
+        ctx.setLineDash([]);
 
         // Task label
         ctx.fillStyle = '#fff';
@@ -658,13 +1133,17 @@ async function exportResults() {
         return;
     }
 
-    // Build CSV content
-    let csv = '';
+    // Build CSV content, starting with the parameters that produced this front
+    let csv = 'Parameters\n';
+    Object.entries(lastRunParameters || collectParameters()).forEach(([id, value]) => {
+        csv += `${id},${csvField(value)}\n`;
+    });
+    csv += '\n';
 
     paretoFront.forEach((sol, i) => {
         // Header for each solution
-        csv += `Pareto Solution ${i + 1}\n`;
-        csv += `Workstations,Assigned Tasks\n`;
+        csv += `Pareto Solution ${i + 1}${sol.method ? ` (${getMethodLabel(sol.method)})` : ''}\n`;
+        csv += `Workstations,Assigned Tasks,Parallel Stations,Worker\n`;
 
         // Sort stations by ID (WS1, WS2, etc.)
         const sortedStations = [...sol.stations].sort((a, b) => {
@@ -680,7 +1159,7 @@ async function exportResults() {
                 const numB = parseInt(b.replace(/\D/g, ''));
                 return numA - numB;
             });
-            csv += `${station.id},"${sortedTasks.join(', ')}"\n`;
+            csv += `${station.id},"${sortedTasks.join(', ')}",${station.replicas || 1},${csvField(station.worker)}\n`;
         });
 
         csv += '\n'; // Empty line between solutions
@@ -0,0 +1,299 @@
+/**
+ * MOLB Game Tool - MILP Export
+ * Writes the balancing problem as a binary-assignment MILP (CPLEX LP and MPS)
+ * and reads solver solutions back into a Solution
+ */
+
+import { Station, Solution } from './models.js';
+import { topologicalSort } from './precedence.js';
+
+/**
+ * Objective choices for the exported model
+ */
+export const MilpObjective = {
+    STATIONS: 'stations',     // minimize the number of used stations
+    CYCLE_TIME: 'cycle',      // minimize the cycle time over the available stations
+    WEIGHTED: 'weighted'      // minimize a weighted sum of both
+};
+
+/**
+ * Make an identifier safe for LP/MPS files
+ */
+function sanitize(id) {
+    return String(id).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function taskVar(taskId, k) {
+    return `x_${sanitize(taskId)}_${k}`;
+}
+
+function stationVar(k) {
+    return `y_${k}`;
+}
+
+const CYCLE_VAR = 'c';
+
+/**
+ * Build the model as plain data
+ * x_i_k = 1 if task i is in station k, y_k = 1 if station k is used, c = cycle time
+ * @param {ProblemConfig} config
+ * @param {Object} options
+ * @param {string} options.objective - MilpObjective
+ * @param {number} options.maxStations - number of stations in the model (defaults to the task count)
+ * @param {{stations: number, cycleTime: number}} options.weights - coefficients for the weighted objective
+ * @returns {{objective: Array, constraints: Array, binaries: string[], bounds: Array}}
+ */
+export function buildMilpModel(config, options = {}) {
+    const {
+        objective = MilpObjective.STATIONS,
+        maxStations = config.tasks.size,
+        weights = { stations: 1, cycleTime: 1 / config.taktTime }
+    } = options;
+
+    const tasks = config.getTaskList();
+    const stations = Array.from({ length: maxStations }, (_, k) => k + 1);
+    const constraints = [];
+
+    // Every task in exactly one station
+    for (const task of tasks) {
+        constraints.push({
+            name: `assign_${sanitize(task.id)}`,
+            terms: stations.map(k => [taskVar(task.id, k), 1]),
+            sense: '=',
+            rhs: 1
+        });
+    }
+
+    for (const k of stations) {
+        // Takt time, and only used stations get tasks
+        constraints.push({
+            name: `takt_${k}`,
+            terms: [...tasks.map(t => [taskVar(t.id, k), t.processingTime]), [stationVar(k), -config.taktTime]],
+            sense: '<=',
+            rhs: 0
+        });
+
+        // Station time bounded by the cycle time variable
+        constraints.push({
+            name: `cycle_${k}`,
+            terms: [...tasks.map(t => [taskVar(t.id, k), t.processingTime]), [CYCLE_VAR, -1]],
+            sense: '<=',
+            rhs: 0
+        });
+
+        // Tool limits per station
+        for (const [toolType, limit] of config.toolLimits) {
+            const users = tasks.filter(t => t.toolType === toolType);
+            if (users.length <= limit) continue;
+            constraints.push({
+                name: `tool_${sanitize(toolType)}_${k}`,
+                terms: users.map(t => [taskVar(t.id, k), 1]),
+                sense: '<=',
+                rhs: limit
+            });
+        }
+
+        // Symmetry breaking: use stations in order
+        if (k > 1) {
+            constraints.push({
+                name: `order_${k}`,
+                terms: [[stationVar(k), 1], [stationVar(k - 1), -1]],
+                sense: '<=',
+                rhs: 0
+            });
+        }
+    }
+
+    // Precedence: station index of a predecessor is not larger
+    for (const [taskId, preds] of config.precedence) {
+        if (!config.tasks.has(taskId)) continue;
+        for (const predId of preds) {
+            if (!config.tasks.has(predId)) continue;
+            constraints.push({
+                name: `prec_${sanitize(predId)}_${sanitize(taskId)}`,
+                terms: [
+                    ...stations.map(k => [taskVar(predId, k), k]),
+                    ...stations.map(k => [taskVar(taskId, k), -k])
+                ],
+                sense: '<=',
+                rhs: 0
+            });
+        }
+    }
+
+    let objectiveTerms;
+    if (objective === MilpObjective.CYCLE_TIME) {
+        objectiveTerms = [[CYCLE_VAR, 1]];
+    } else if (objective === MilpObjective.WEIGHTED) {
+        objectiveTerms = [...stations.map(k => [stationVar(k), weights.stations]), [CYCLE_VAR, weights.cycleTime]];
+    } else {
+        objectiveTerms = stations.map(k => [stationVar(k), 1]);
+    }
+
+    return {
+        objective: objectiveTerms,
+        constraints,
+        binaries: [
+            ...tasks.flatMap(t => stations.map(k => taskVar(t.id, k))),
+            ...stations.map(stationVar)
+        ],
+        bounds: [{ name: CYCLE_VAR, lower: 0, upper: config.taktTime }]
+    };
+}
+
+/**
+ * Format a linear expression, wrapping long rows for LP readers
+ */
+function formatTerms(terms) {
+    const parts = terms.map(([name, coef], i) => {
+        const sign = coef < 0 ? '-' : (i === 0 ? '' : '+');
+        const abs = Math.abs(coef);
+        return `${sign} ${abs === 1 ? '' : abs + ' '}${name}`.trim();
+    });
+
+    const lines = [];
+    for (let i = 0; i < parts.length; i += 8) {
+        lines.push(parts.slice(i, i + 8).join(' '));
+    }
+    return lines.join('\n   ');
+}
+
+/**
+ * Write the model in CPLEX LP format
+ * @param {ProblemConfig} config
+ * @param {Object} options - see buildMilpModel
+ * @returns {string}
+ */
+export function exportLP(config, options = {}) {
+    const model = buildMilpModel(config, options);
+
+    let lp = `\\ MOLB line balancing model (${options.objective || MilpObjective.STATIONS})\n`;
+    lp += `Minimize\n obj: ${formatTerms(model.objective)}\n`;
+    lp += `Subject To\n`;
+    for (const c of model.constraints) {
+        lp += ` ${c.name}: ${formatTerms(c.terms)} ${c.sense} ${c.rhs}\n`;
+    }
+    lp += `Bounds\n`;
+    for (const b of model.bounds) {
+        lp += ` ${b.lower} <= ${b.name} <= ${b.upper}\n`;
+    }
+    lp += `Binary\n`;
+    for (let i = 0; i < model.binaries.length; i += 8) {
+        lp += ` ${model.binaries.slice(i, i + 8).join(' ')}\n`;
+    }
+    lp += `End\n`;
+
+    return lp;
+}
+
+/**
+ * Write the model in free MPS format
+ * @param {ProblemConfig} config
+ * @param {Object} options - see buildMilpModel
+ * @returns {string}
+ */
+export function exportMPS(config, options = {}) {
+    const model = buildMilpModel(config, options);
+    const senseCode = { '=': 'E', '<=': 'L', '>=': 'G' };
+
+    // Column-wise view: variable -> [[row, coef]]
+    const columns = new Map();
+    const addEntry = (name, row, coef) => {
+        if (!columns.has(name)) columns.set(name, []);
+        columns.get(name).push([row, coef]);
+    };
+    model.objective.forEach(([name, coef]) => addEntry(name, 'obj', coef));
+    model.constraints.forEach(c => c.terms.forEach(([name, coef]) => addEntry(name, c.name, coef)));
+
+    const binaries = new Set(model.binaries);
+
+    let mps = `NAME MOLB\n`;
+    mps += `ROWS\n N obj\n`;
+    model.constraints.forEach(c => { mps += ` ${senseCode[c.sense]} ${c.name}\n`; });
+
+    mps += `COLUMNS\n`;
+    mps += ` MARKER 'MARKER' 'INTORG'\n`;
+    for (const name of model.binaries) {
+        (columns.get(name) || []).forEach(([row, coef]) => { mps += ` ${name} ${row} ${coef}\n`; });
+    }
+    mps += ` MARKER 'MARKER' 'INTEND'\n`;
+    for (const [name, entries] of columns) {
+        if (binaries.has(name)) continue;
+        entries.forEach(([row, coef]) => { mps += ` ${name} ${row} ${coef}\n`; });
+    }
+
+    mps += `RHS\n`;
+    model.constraints.forEach(c => {
+        if (c.rhs !== 0) mps += ` RHS ${c.name} ${c.rhs}\n`;
+    });
+
+    mps += `BOUNDS\n`;
+    model.binaries.forEach(name => { mps += ` BV BND ${name}\n`; });
+    model.bounds.forEach(b => {
+        mps += ` LO BND ${b.name} ${b.lower}\n`;
+        mps += ` UP BND ${b.name} ${b.upper}\n`;
+    });
+    mps += `ENDATA\n`;
+
+    return mps;
+}
+
+/**
+ * Read a solver solution file back into a Solution
+ * Understands the common "name value" column listings of GLPK, HiGHS, CBC and Gurobi,
+ * and the XML solution files of CPLEX. Validate the result with validateSolution.
+ * @param {string} text - solution file contents
+ * @param {ProblemConfig} config
+ * @param {number} maxStations - station count used when exporting
+ * @returns {Solution}
+ */
+export function importMilpSolution(text, config, maxStations = config.tasks.size) {
+    // Variable name -> { taskId, station }
+    const variables = new Map();
+    for (const taskId of config.tasks.keys()) {
+        for (let k = 1; k <= maxStations; k++) {
+            variables.set(taskVar(taskId, k), { taskId, station: k });
+        }
+    }
+
+    const values = new Map();
+
+    // CPLEX XML: <variable name="x_T1_1" ... value="1"/>
+    for (const match of text.matchAll(/name="([^"]+)"[^>]*value="([^"]+)"/g)) {
+        values.set(match[1], parseFloat(match[2]));
+    }
+
+    // Column listings: the first number after a known variable name is its value
+    for (const line of text.split('\n')) {
+        const tokens = line.trim().split(/\s+/);
+        const index = tokens.findIndex(t => variables.has(t));
+        if (index === -1) continue;
+
+        const value = tokens.slice(index + 1).find(t => t !== '*' && !isNaN(parseFloat(t)));
+        if (value !== undefined) values.set(tokens[index], parseFloat(value));
+    }
+
+    if (values.size === 0) {
+        throw new Error('Geen toewijzingsvariabelen gevonden in het oplossingsbestand');
+    }
+
+    const stationTasks = new Map(); // station index -> task ids
+    for (const [name, value] of values) {
+        const variable = variables.get(name);
+        if (!variable || value < 0.5) continue;
+        if (!stationTasks.has(variable.station)) stationTasks.set(variable.station, new Set());
+        stationTasks.get(variable.station).add(variable.taskId);
+    }
+
+    // Topological order keeps predecessors first inside a station
+    const order = topologicalSort(config) || config.getTaskList();
+    const used = Array.from(stationTasks.keys()).sort((a, b) => a - b);
+
+    const stations = used.map((k, i) => {
+        const station = new Station(`WS${i + 1}`);
+        order.filter(t => stationTasks.get(k).has(t.id)).forEach(t => station.addTask(t));
+        return station;
+    });
+
+    return new Solution(stations);
+}
@@ -3,15 +3,44 @@
  * Core data structures for the line balancing problem
  */
 
+/**
+ * Side of a two-sided line a task must be done from
+ */
+export const TaskSide = {
+    LEFT: 'L',
+    RIGHT: 'R',
+    EITHER: 'E'
+};
+
+/**
+ * Zoning constraint between two tasks
+ */
+export const ZoningType = {
+    SAME: 'same',   // positive zoning: must share a station
+    APART: 'apart'  // negative zoning: must never share a station
+};
+
 /**
  * Task: A single operation in the assembly line
  */
 export class Task {
-    constructor(id, processingTime, toolType, envScore = 1) {
+    constructor(id, processingTime, toolType, envScore = 1, variantTimes = null) {
         this.id = id;
         this.processingTime = processingTime;
         this.toolType = toolType;
         this.envScore = envScore; // Environmental impact score (0-10, lower is better)
+        // Mixed-model: variant -> processing time; a variant missing here does not need the task.
+        // processingTime then holds the demand-weighted average (see ProblemConfig.updateAverageTimes)
+        // and baseTime the task's own time, which comes back when the mix is cleared
+        this.variantTimes = variantTimes;
+        this.baseTime = null;
+        // Stochastic times: standard deviation around processingTime, or a triangular {min, mode, max}
+        this.timeStdev = 0;
+        this.timeRange = null;
+        this.side = TaskSide.EITHER; // two-sided lines only
+        // Worker-dependent times: worker -> time; a worker missing here cannot do the task.
+        // null means every worker takes processingTime
+        this.workerTimes = null;
     }
 }
 
@@ -24,6 +53,10 @@ export class Station {
         this.tasks = [];
         this.totalTime = 0;
         this.tools = new Map(); // toolType -> count
+        this.replicas = 1;      // parallel copies of the station, giving it replicas x takt time per product
+        this.position = null;   // two-sided lines: index of the mated pair this station belongs to
+        this.side = null;       // two-sided lines: TaskSide.LEFT or TaskSide.RIGHT
+        this.worker = null;     // worker assignment: the worker of the roster who staffs the station
     }
 
     addTask(task) {
@@ -43,8 +76,26 @@ export class Station {
         clone.tasks = [...this.tasks];
         clone.totalTime = this.totalTime;
         clone.tools = new Map(this.tools);
+        clone.replicas = this.replicas;
+        clone.position = this.position;
+        clone.side = this.side;
+        clone.worker = this.worker;
         return clone;
     }
+
+    /**
+     * Copy of the station (same id, replicas, worker and place in the line) holding other tasks
+     * @param {Task[]} tasks
+     * @returns {Station}
+     */
+    withTasks(tasks) {
+        const copy = this.clone();
+        copy.tasks = [];
+        copy.totalTime = 0;
+        copy.tools = new Map();
+        tasks.forEach(t => copy.addTask(t));
+        return copy;
+    }
 }
 
 /**
@@ -61,6 +112,8 @@ export class Solution {
         };
         this.isValid = true;
         this.validationErrors = [];
+        this.cycleTime = null; // Achieved cycle time when solved for a fixed station count (SALBP-2)
+        this.method = null;    // Heuristic or solver that found this solution
     }
 
     getNumStations() {
@@ -84,6 +137,8 @@ export class Solution {
         clone.scores = { ...this.scores };
         clone.isValid = this.isValid;
         clone.validationErrors = [...this.validationErrors];
+        clone.cycleTime = this.cycleTime;
+        clone.method = this.method;
         return clone;
     }
 
@@ -92,10 +147,16 @@ export class Solution {
             stations: this.stations.map(s => ({
                 id: s.id,
                 tasks: s.getTaskIds(),
-                totalTime: s.totalTime
+                totalTime: s.totalTime,
+                replicas: s.replicas,
+                position: s.position ?? undefined,
+                side: s.side ?? undefined,
+                worker: s.worker ?? undefined
             })),
             scores: this.scores,
-            isValid: this.isValid
+            isValid: this.isValid,
+            cycleTime: this.cycleTime,
+            method: this.method
         };
     }
 
@@ -106,17 +167,27 @@ export class Solution {
                 const task = taskMap.get(taskId);
                 if (task) station.addTask(task);
             });
+            station.replicas = sData.replicas || 1;
+            station.position = sData.position ?? null;
+            station.side = sData.side ?? null;
+            station.worker = sData.worker ?? null;
             return station;
         });
 
         const solution = new Solution(stations);
         if (json.scores) solution.scores = json.scores;
         if (json.isValid !== undefined) solution.isValid = json.isValid;
+        if (json.cycleTime) solution.cycleTime = json.cycleTime;
+        if (json.method) solution.method = json.method;
         return solution;
     }
 
     getHash() {
-        return this.stations.map(s => s.getTaskIds().sort().join(',')).join('|');
+        return this.stations
+            .map(s => (s.side ? `${s.position}${s.side}:` : '') +
+                s.getTaskIds().sort().join(',') + (s.replicas > 1 ? `x${s.replicas}` : '') +
+                (s.worker ? `@${s.worker}` : ''))
+            .join('|');
     }
 }
 
@@ -130,6 +201,13 @@ export class ProblemConfig {
         this.successors = new Map(); // taskId -> [taskIds that come after]
         this.taktTime = 12;
         this.toolLimits = new Map(); // toolType -> max count per station
+        this.variants = new Map(); // product variant -> demand share (mixed-model lines)
+        this.serviceLevel = null;    // chance-constrained mode: required P(station time <= takt), null = off
+        this.chanceMethod = 'normal'; // ChanceMethod used to check the service level
+        this.lineType = 'straight';   // LineType: straight, U-shaped or two-sided
+        this.zoning = [];             // [{a, b, type}] task pairs with a ZoningType
+        this.workers = [];            // worker roster; non-empty turns on worker assignment (ALWABP)
+        this.stationRestrictions = new Map(); // taskId -> {fixed, earliest, latest, forbidden}, 1-based station numbers
         this.weights = {
             economic: 0.4,
             social: 0.3,
@@ -150,6 +228,8 @@ export class ProblemConfig {
         if (!this.toolLimits.has(task.toolType)) {
             this.toolLimits.set(task.toolType, 2); // Default limit
         }
+
+        this.updateAverageTime(task);
     }
 
     removeTask(taskId) {
@@ -164,6 +244,8 @@ export class ProblemConfig {
         for (const [id, succs] of this.successors) {
             this.successors.set(id, succs.filter(s => s !== taskId));
         }
+        this.zoning = this.zoning.filter(z => z.a !== taskId && z.b !== taskId);
+        this.stationRestrictions.delete(taskId);
     }
 
     addPrecedence(fromId, toId) {
@@ -198,6 +280,80 @@ export class ProblemConfig {
         }
     }
 
+    /**
+     * Add a zoning constraint; a pair has at most one, so this replaces an existing one
+     * @param {string} a
+     * @param {string} b
+     * @param {string} type - ZoningType
+     */
+    addZoning(a, b, type) {
+        if (a === b) return;
+        this.removeZoning(a, b);
+        this.zoning.push({ a, b, type });
+    }
+
+    removeZoning(a, b) {
+        this.zoning = this.zoning.filter(z => !((z.a === a && z.b === b) || (z.a === b && z.b === a)));
+    }
+
+    getZoning(a, b) {
+        return this.zoning.find(z => (z.a === a && z.b === b) || (z.a === b && z.b === a)) || null;
+    }
+
+    /**
+     * Tasks that have a zoning constraint of the given type with a task
+     * @param {string} taskId
+     * @param {string} type - ZoningType
+     * @returns {string[]}
+     */
+    getZoningPartners(taskId, type) {
+        return this.zoning
+            .filter(z => z.type === type && (z.a === taskId || z.b === taskId))
+            .map(z => (z.a === taskId ? z.b : z.a));
+    }
+
+    /**
+     * Restrict the stations a task may be assigned to; an empty restriction removes it
+     * @param {string} taskId
+     * @param {Object} restriction
+     * @param {number|null} restriction.fixed - the only allowed station
+     * @param {number|null} restriction.earliest
+     * @param {number|null} restriction.latest
+     * @param {number[]} restriction.forbidden
+     */
+    setStationRestriction(taskId, { fixed = null, earliest = null, latest = null, forbidden = [] } = {}) {
+        if (!fixed && !earliest && !latest && forbidden.length === 0) {
+            this.stationRestrictions.delete(taskId);
+            return;
+        }
+        this.stationRestrictions.set(taskId, { fixed, earliest, latest, forbidden: [...forbidden] });
+    }
+
+    /**
+     * Earliest and latest station a task may be in (a fixed station sets both)
+     * @param {string} taskId
+     * @returns {{earliest: number, latest: number}} latest is Infinity when open
+     */
+    getStationWindow(taskId) {
+        const r = this.stationRestrictions.get(taskId);
+        if (!r) return { earliest: 1, latest: Infinity };
+        if (r.fixed) return { earliest: r.fixed, latest: r.fixed };
+        return { earliest: r.earliest || 1, latest: r.latest || Infinity };
+    }
+
+    /**
+     * Whether a task may be assigned to a station
+     * @param {string} taskId
+     * @param {number} stationNumber - 1-based position of the station in the line
+     * @returns {boolean}
+     */
+    isStationAllowed(taskId, stationNumber) {
+        const r = this.stationRestrictions.get(taskId);
+        if (!r) return true;
+        const { earliest, latest } = this.getStationWindow(taskId);
+        return stationNumber >= earliest && stationNumber <= latest && !r.forbidden.includes(stationNumber);
+    }
+
     getTaskList() {
         return Array.from(this.tasks.values());
     }
@@ -214,34 +370,158 @@ export class ProblemConfig {
         this.toolLimits.set(toolType, limit);
     }
 
+    /**
+     * Replace the product mix and re-average the mixed-model task times
+     * @param {Map<string, number>} variants - variant -> demand share
+     */
+    setVariants(variants) {
+        this.variants = new Map(variants);
+        this.updateAverageTimes();
+    }
+
+    /**
+     * Time of a task for one variant; tasks without variant times take the same time for every variant
+     */
+    getTaskTime(task, variant) {
+        if (!task.variantTimes) return task.processingTime;
+        return task.variantTimes[variant] || 0;
+    }
+
+    /**
+     * Demand-weighted average time of a task over the product mix
+     */
+    getAverageTime(task) {
+        let totalDemand = 0;
+        let time = 0;
+        for (const [variant, demand] of this.variants) {
+            totalDemand += demand;
+            time += demand * this.getTaskTime(task, variant);
+        }
+        if (totalDemand <= 0) return task.baseTime ?? task.processingTime;
+        return Math.round(time / totalDemand * 100) / 100;
+    }
+
+    /**
+     * Give a mixed-model task its average time over the product mix, keeping its own time in baseTime;
+     * without a mix, or once the task has no variant times, it gets its own time back
+     * @param {Task} task
+     */
+    updateAverageTime(task) {
+        if (task.variantTimes && this.variants.size > 0) {
+            if (task.baseTime === null) task.baseTime = task.processingTime;
+            task.processingTime = this.getAverageTime(task);
+        } else if (task.baseTime !== null) {
+            task.processingTime = task.baseTime;
+            task.baseTime = null;
+        }
+    }
+
+    updateAverageTimes() {
+        for (const task of this.tasks.values()) {
+            this.updateAverageTime(task);
+        }
+    }
+
+    /**
+     * Station time per variant for a set of tasks (empty without a product mix)
+     * @param {Task[]} tasks
+     * @returns {Map<string, number>} variant -> total time
+     */
+    getVariantTimes(tasks) {
+        const times = new Map();
+        for (const variant of this.variants.keys()) {
+            times.set(variant, tasks.reduce((sum, t) => sum + this.getTaskTime(t, variant), 0));
+        }
+        return times;
+    }
+
+    /**
+     * Time a worker takes for a task
+     * @param {Task} task
+     * @param {string|null} worker - null for the standard time
+     * @returns {number} Infinity if the worker cannot do the task
+     */
+    getWorkerTime(task, worker) {
+        if (!worker || !task.workerTimes) return task.processingTime;
+        const time = task.workerTimes[worker];
+        return time === undefined || time === null ? Infinity : time;
+    }
+
+    /**
+     * Station time with the times of the station's worker (the standard times without one)
+     * @param {Station} station
+     * @returns {number}
+     */
+    getStationTime(station) {
+        if (!station.worker) return station.totalTime;
+        return station.tasks.reduce((sum, t) => sum + this.getWorkerTime(t, station.worker), 0);
+    }
+
     toJSON() {
         return {
             tasks: Array.from(this.tasks.values()).map(t => ({
                 id: t.id,
-                processingTime: t.processingTime,
+                // The task's own time; fromJSON averages it over the mix again
+                processingTime: t.baseTime ?? t.processingTime,
                 toolType: t.toolType,
-                envScore: t.envScore
+                envScore: t.envScore,
+                variantTimes: t.variantTimes || undefined,
+                timeStdev: t.timeStdev || undefined,
+                timeRange: t.timeRange || undefined,
+                side: t.side !== TaskSide.EITHER ? t.side : undefined,
+                workerTimes: t.workerTimes || undefined
             })),
             precedence: Array.from(this.precedence.entries()).flatMap(([to, froms]) =>
                 froms.map(from => ({ from, to }))
             ),
             taktTime: this.taktTime,
             toolLimits: Object.fromEntries(this.toolLimits),
-            weights: this.weights
+            weights: this.weights,
+            maxStdev: this.maxStdev,
+            variants: Object.fromEntries(this.variants),
+            serviceLevel: this.serviceLevel,
+            chanceMethod: this.chanceMethod,
+            lineType: this.lineType,
+            zoning: this.zoning,
+            workers: this.workers,
+            stationRestrictions: Object.fromEntries(this.stationRestrictions)
         };
     }
 
     static fromJSON(json) {
         const config = new ProblemConfig();
 
+        if (json.variants) {
+            config.variants = new Map(Object.entries(json.variants));
+        }
+
         json.tasks.forEach(t => {
-            config.addTask(new Task(t.id, t.processingTime, t.toolType, t.envScore || 1));
+            const task = new Task(t.id, t.processingTime, t.toolType, t.envScore || 1, t.variantTimes || null);
+            task.timeStdev = t.timeStdev || 0;
+            task.timeRange = t.timeRange || null;
+            task.side = t.side || TaskSide.EITHER;
+            task.workerTimes = t.workerTimes || null;
+            config.addTask(task);
         });
 
         json.precedence.forEach(p => {
             config.addPrecedence(p.from, p.to);
         });
 
+        if (json.stationRestrictions) {
+            Object.entries(json.stationRestrictions).forEach(([taskId, r]) => {
+                config.setStationRestriction(taskId, r);
+            });
+        }
+
+        if (json.workers) {
+            config.workers = [...json.workers];
+        }
+
+        if (json.zoning) {
+            json.zoning.forEach(z => config.addZoning(z.a, z.b, z.type));
+        }
+
         config.taktTime = json.taktTime;
 
         if (json.toolLimits) {
@@ -254,6 +534,35 @@ export class ProblemConfig {
             config.weights = json.weights;
         }
 
+        if (json.maxStdev) {
+            config.maxStdev = json.maxStdev;
+        }
+
+        if (json.lineType) {
+            config.lineType = json.lineType;
+        }
+
+        if (json.serviceLevel) {
+            config.serviceLevel = json.serviceLevel;
+            config.chanceMethod = json.chanceMethod || config.chanceMethod;
+        }
+
         return config;
     }
 }
+
+/**
+ * Parse "A=60, B=40" (product mix, per-variant or per-worker task times) into a name -> number map
+ * Entries without a valid number are skipped.
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+export function parseVariantValues(text) {
+    const values = new Map();
+    for (const entry of (text || '').split(/[,;]/)) {
+        const [name, value] = entry.split(/[=:]/).map(part => part?.trim());
+        const number = parseFloat(value);
+        if (name && !isNaN(number) && number >= 0) values.set(name, number);
+    }
+    return values;
+}
@@ -0,0 +1,297 @@
+/**
+ * MOLB Game Tool - NSGA-II Optimizer
+ * Evolves task sequences towards a well-spread Pareto front
+ */
+
+import { Station, Solution } from './models.js';
+import { getAvailableTasks, hasCycles } from './precedence.js';
+import { canAddTaskToStation, validateSolution, assignReplicas } from './feasibility.js';
+import { calculateAllScores } from './objectives.js';
+import { fastNonDominatedSort, calculateCrowdingDistance } from './pareto.js';
+import { createRandom, randomInt } from './random.js';
+
+/**
+ * Build a random precedence-feasible task sequence
+ */
+function randomSequence(config, random) {
+    const sequence = [];
+    const assigned = new Set();
+
+    while (assigned.size < config.tasks.size) {
+        const available = getAvailableTasks(config, assigned);
+        if (available.length === 0) break;
+
+        const task = available[randomInt(random, available.length)];
+        sequence.push(task);
+        assigned.add(task.id);
+    }
+
+    return sequence;
+}
+
+/**
+ * Decode a chromosome into a Solution
+ * Tasks are placed in sequence order; a new station opens when the task
+ * does not fit under the station cap or cannot join the station (e.g. a tool limit or station restriction).
+ * A task whose earliest allowed station lies ahead waits, with the successors that need it,
+ * until the line gets there.
+ * @param {{sequence: Task[], cap: number}} genome
+ * @param {ProblemConfig} config
+ * @returns {Solution}
+ */
+function decode(genome, config) {
+    const stations = [];
+    const assigned = new Set();
+    let station = new Station('WS1');
+    const waiting = [];
+
+    const tooEarly = (task) => config.getStationWindow(task.id).earliest > stations.length + 1;
+    const waitsForOthers = (task) => (config.precedence.get(task.id) || []).some(p => waiting.some(w => w.id === p));
+    const nextReleased = () => {
+        const index = waiting.findIndex(t => !tooEarly(t) && !waitsForOthers(t));
+        return index >= 0 ? waiting.splice(index, 1)[0] : null;
+    };
+
+    let next = 0;
+    while (next < genome.sequence.length || waiting.length > 0) {
+        let task = nextReleased();
+        if (!task && next < genome.sequence.length) {
+            task = genome.sequence[next++];
+            if (tooEarly(task) || waitsForOthers(task)) {
+                waiting.push(task);
+                continue;
+            }
+        }
+        if (!task) {
+            // Only waiting tasks are left: move on to the next station, unless the open one is empty
+            if (station.tasks.length > 0) {
+                stations.push(station);
+                station = new Station(`WS${stations.length + 1}`);
+                continue;
+            }
+            task = waiting.shift();
+        }
+
+        const fitsCap = station.totalTime + task.processingTime <= genome.cap;
+        const check = canAddTaskToStation(task, station, config, assigned, stations.length + 1);
+
+        if ((!fitsCap || !check.canAdd) && station.tasks.length > 0) {
+            stations.push(station);
+            station = new Station(`WS${stations.length + 1}`);
+        }
+
+        station.addTask(task);
+        assigned.add(task.id);
+    }
+
+    if (station.tasks.length > 0) {
+        stations.push(station);
+    }
+
+    return new Solution(assignReplicas(stations, config.taktTime));
+}
+
+/**
+ * Precedence-preserving one-point crossover
+ * The child keeps the prefix of one parent and the remaining tasks in the order of the other
+ */
+function crossover(a, b, random) {
+    const cut = randomInt(random, a.sequence.length + 1);
+    const prefix = a.sequence.slice(0, cut);
+    const inPrefix = new Set(prefix.map(t => t.id));
+
+    return {
+        sequence: [...prefix, ...b.sequence.filter(t => !inPrefix.has(t.id))],
+        cap: random() < 0.5 ? a.cap : b.cap
+    };
+}
+
+/**
+ * Shift mutation: move one task to a random position between its
+ * last predecessor and first successor, and jitter the station cap
+ */
+function mutate(genome, config, capRange, random) {
+    const sequence = [...genome.sequence];
+    const [task] = sequence.splice(randomInt(random, sequence.length), 1);
+
+    const preds = new Set(config.precedence.get(task.id) || []);
+    const succs = new Set(config.successors.get(task.id) || []);
+
+    let lo = 0;
+    let hi = sequence.length;
+    sequence.forEach((t, i) => {
+        if (preds.has(t.id)) lo = Math.max(lo, i + 1);
+        if (succs.has(t.id)) hi = Math.min(hi, i);
+    });
+
+    sequence.splice(lo + randomInt(random, hi - lo + 1), 0, task);
+
+    let cap = genome.cap;
+    if (random() < 0.5) {
+        cap += randomInt(random, 7) - 3;
+        cap = Math.min(capRange.max, Math.max(capRange.min, cap));
+    }
+
+    return { sequence, cap };
+}
+
+/**
+ * Evaluate a genome: decode, validate and score
+ */
+function evaluate(genome, config) {
+    const solution = decode(genome, config);
+    validateSolution(solution, config);
+    if (solution.isValid) {
+        calculateAllScores(solution, config);
+    }
+    return { ...genome, solution, rank: Infinity, crowding: 0 };
+}
+
+/**
+ * Key that identifies an individual for deduplication: its score vector when valid, so different
+ * assignments with the same scores do not crowd the front, otherwise its station assignment
+ */
+function dedupeKey(solution) {
+    if (!solution.isValid) return solution.getHash();
+    const { economic, social, environmental } = solution.scores;
+    return [economic, social, environmental].map(v => v.toFixed(9)).join('|');
+}
+
+/**
+ * Assign rank and crowding distance, return the population sorted best-first
+ * Duplicates (see dedupeKey) are pushed to the back to keep the population diverse
+ */
+function rankPopulation(population) {
+    const unique = [];
+    const duplicates = [];
+    const seen = new Set();
+
+    for (const individual of population) {
+        const key = dedupeKey(individual.solution);
+        if (seen.has(key)) {
+            duplicates.push(individual);
+        } else {
+            seen.add(key);
+            unique.push(individual);
+        }
+    }
+
+    const valid = unique.filter(ind => ind.solution.isValid);
+    const invalid = unique.filter(ind => !ind.solution.isValid);
+    const byHash = new Map(valid.map(ind => [ind.solution.getHash(), ind]));
+
+    const ordered = [];
+    fastNonDominatedSort(valid.map(ind => ind.solution)).forEach((front, rank) => {
+        const distances = calculateCrowdingDistance(front);
+        const members = front.map(solution => {
+            const ind = byHash.get(solution.getHash());
+            ind.rank = rank;
+            ind.crowding = distances.get(solution.getHash());
+            return ind;
+        });
+        members.sort((a, b) => b.crowding - a.crowding);
+        ordered.push(...members);
+    });
+
+    invalid.forEach(ind => { ind.rank = Infinity; });
+    duplicates.forEach(ind => { ind.rank = Infinity; });
+
+    return [...ordered, ...invalid, ...duplicates];
+}
+
+/**
+ * Binary tournament on rank, then crowding distance
+ */
+function tournament(population, random) {
+    const a = population[randomInt(random, population.length)];
+    const b = population[randomInt(random, population.length)];
+
+    if (a.rank !== b.rank) return a.rank < b.rank ? a : b;
+    return a.crowding >= b.crowding ? a : b;
+}
+
+/**
+ * Run NSGA-II over the economic, social and environmental objectives
+ * @param {ProblemConfig} config
+ * @param {Object} options
+ * @param {number} options.populationSize
+ * @param {number} options.generations
+ * @param {number} options.seed - same seed and config give the same front
+ * @param {number} options.crossoverRate
+ * @param {number} options.mutationRate
+ * @returns {{paretoFront: Solution[], solutions: Solution[], evaluations: number, elapsedMs: number, error: string|null}}
+ */
+export function runNSGA2(config, options = {}) {
+    const {
+        populationSize = 60,
+        generations = 100,
+        seed = 1,
+        crossoverRate = 0.9,
+        mutationRate = 0.3
+    } = options;
+
+    const start = Date.now();
+    const random = createRandom(seed);
+    const result = {
+        paretoFront: [],
+        solutions: [],
+        evaluations: 0,
+        elapsedMs: 0,
+        error: null
+    };
+
+    const tasks = config.getTaskList();
+    const maxTask = Math.max(0, ...tasks.map(t => t.processingTime));
+
+    if (tasks.length === 0) {
+        result.error = 'Geen taken om te balanceren';
+    } else if (hasCycles(config)) {
+        result.error = 'Precedence graph bevat een cyclus';
+    }
+
+    if (result.error) {
+        result.elapsedMs = Date.now() - start;
+        return result;
+    }
+
+    // The station cap decides how full stations get, which spreads the station counts
+    // (a task longer than the takt time gets a parallel station of its own)
+    const capRange = { min: Math.min(maxTask, config.taktTime), max: config.taktTime };
+    const randomCap = () => capRange.min + randomInt(random, capRange.max - capRange.min + 1);
+
+    let population = [];
+    for (let i = 0; i < populationSize; i++) {
+        population.push(evaluate({ sequence: randomSequence(config, random), cap: randomCap() }, config));
+    }
+    result.evaluations += populationSize;
+    population = rankPopulation(population);
+
+    for (let gen = 0; gen < generations; gen++) {
+        const offspring = [];
+
+        while (offspring.length < populationSize) {
+            const a = tournament(population, random);
+            const b = tournament(population, random);
+
+            let child = random() < crossoverRate ? crossover(a, b, random) : { sequence: a.sequence, cap: a.cap };
+            if (random() < mutationRate) {
+                child = mutate(child, config, capRange, random);
+            }
+
+            offspring.push(evaluate(child, config));
+        }
+        result.evaluations += offspring.length;
+
+        population = rankPopulation([...population, ...offspring]).slice(0, populationSize);
+    }
+
+    result.solutions = population
+        .filter(ind => ind.solution.isValid && ind.rank !== Infinity)
+        .map(ind => ind.solution);
+    result.paretoFront = population
+        .filter(ind => ind.rank === 0)
+        .map(ind => ind.solution);
+    result.elapsedMs = Date.now() - start;
+
+    return result;
+}
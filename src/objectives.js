@@ -16,15 +16,17 @@ export function calculateAllScores(solution, config) {
 
     // Get parameters from config
     const maxStdev = config.maxStdev || 24;
-    const taktTime = config.taktTime || 47;
+    // A solution solved for a fixed station count carries its own cycle time
+    const taktTime = solution.cycleTime || config.taktTime || 47;
 
     // =======================================================
     // ECONOMIC SCORE (Efficiency)
     // Excel: =SUM(Overview!$E$7:$E$36)/(MAX(Balancing!G3)*COUNTA(Balancing!$M$9:$M$15))
     // G3 appears to be taktTime (47), NOT maxStationTime
     // = totalTaskTime / (taktTime * numberOfStations)
+    // Parallel copies of a station count as stations of their own
     // =======================================================
-    const economicScore = stats.totalTime / (taktTime * stats.numStations);
+    const economicScore = stats.totalTime / (taktTime * stats.physicalStations);
 
     // =======================================================
     // SOCIAL SCORE (Workload Balance)
@@ -118,36 +120,56 @@ function calculateEnvironmentalScore(solution, config) {
     return (totalTasks - sumUniqueToolsPerStation) / denominator;
 }
 
+/**
+ * Workload of one copy of a station, the station time used for balancing
+ * A station replicated k times handles every k-th product; a staffed station takes its worker's times.
+ * @param {Station} station
+ * @param {ProblemConfig} config
+ * @returns {number}
+ */
+export function getStationLoad(station, config) {
+    return config.getStationTime(station) / (station.replicas || 1);
+}
+
 /**
  * Get statistics for a solution
  */
 export function getSolutionStatistics(solution, config) {
-    const stationTimes = solution.stations.map(s => s.totalTime);
-    const totalTime = stationTimes.reduce((a, b) => a + b, 0);
+    const stationTimes = solution.stations.map(s => getStationLoad(s, config));
+    const totalTime = solution.stations.reduce((sum, s) => sum + config.getStationTime(s), 0);
     const numStations = solution.stations.length;
+    const physicalStations = solution.stations.reduce((sum, s) => sum + (s.replicas || 1), 0);
 
     const maxTime = Math.max(...stationTimes);
     const minTime = Math.min(...stationTimes);
-    const avgTime = totalTime / numStations;
+    const avgTime = stationTimes.reduce((a, b) => a + b, 0) / numStations;
 
     // STDEV.P (population standard deviation) - same as Excel
     const variance = stationTimes.reduce((sum, t) => sum + Math.pow(t - avgTime, 2), 0) / numStations;
     const stdev = Math.sqrt(variance);
 
     // Efficiency = totalTime / (maxTime * numStations)
-    const efficiency = totalTime / (maxTime * numStations);
+    const efficiency = totalTime / (maxTime * physicalStations);
 
     const theoreticalMin = Math.ceil(totalTime / config.taktTime);
 
+    // Mixed-model: station times per product variant
+    const variantStationTimes = {};
+    for (const variant of config.variants.keys()) {
+        variantStationTimes[variant] = solution.stations.map(s => config.getVariantTimes(s.tasks).get(variant));
+    }
+
     return {
         totalTime,
         numStations,
+        physicalStations,
         maxTime,
         minTime,
         avgTime,
         variance,
         stdev,
         efficiency,
-        theoreticalMin
+        theoreticalMin,
+        variantStationTimes
     };
 }
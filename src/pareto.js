@@ -203,3 +203,96 @@ export function analyzeSolutions(solutions, config) {
         rankedSolutions: rankSolutions(solutions)
     };
 }
+
+/**
+ * Fast non-dominated sorting (NSGA-II)
+ * @param {Solution[]} solutions
+ * @returns {Solution[][]} fronts, best first
+ */
+export function fastNonDominatedSort(solutions) {
+    const dominatedBy = solutions.map(() => []);
+    const dominationCount = new Array(solutions.length).fill(0);
+    const fronts = [[]];
+
+    for (let p = 0; p < solutions.length; p++) {
+        for (let q = 0; q < solutions.length; q++) {
+            if (p === q) continue;
+            if (dominates(solutions[p], solutions[q])) {
+                dominatedBy[p].push(q);
+            } else if (dominates(solutions[q], solutions[p])) {
+                dominationCount[p]++;
+            }
+        }
+        if (dominationCount[p] === 0) fronts[0].push(p);
+    }
+
+    let i = 0;
+    while (fronts[i].length > 0) {
+        const next = [];
+        for (const p of fronts[i]) {
+            for (const q of dominatedBy[p]) {
+                dominationCount[q]--;
+                if (dominationCount[q] === 0) next.push(q);
+            }
+        }
+        i++;
+        fronts.push(next);
+    }
+
+    return fronts.slice(0, -1).map(front => front.map(index => solutions[index]));
+}
+
+/**
+ * Add a solution to a non-dominated archive
+ * Solutions dominated by the newcomer are removed from the archive
+ * @param {Solution[]} archive - modified in place
+ * @param {Solution} solution - a valid, scored solution
+ * @returns {boolean} true if the archive changed
+ */
+export function updateArchive(archive, solution) {
+    const hash = solution.getHash();
+
+    for (const member of archive) {
+        if (member.getHash() === hash || dominates(member, solution)) return false;
+    }
+
+    for (let i = archive.length - 1; i >= 0; i--) {
+        if (dominates(solution, archive[i])) {
+            archive.splice(i, 1);
+        }
+    }
+
+    archive.push(solution);
+    return true;
+}
+
+/**
+ * Hypervolume of a front (all objectives maximized), measured from the origin
+ * Slices the volume along the economic score and sums the 2D areas of the slices.
+ * @param {Solution[]} solutions
+ * @returns {number}
+ */
+export function hypervolume(solutions) {
+    const points = solutions.map(s => [s.scores.economic, s.scores.social, s.scores.environmental]);
+    const levels = [...new Set(points.map(p => p[0]))].sort((a, b) => b - a);
+
+    let volume = 0;
+    levels.forEach((level, i) => {
+        const depth = level - (levels[i + 1] ?? 0);
+
+        // 2D area dominated by the points at or above this level
+        const slice = points.filter(p => p[0] >= level).sort((a, b) => b[1] - a[1]);
+        let area = 0;
+        let maxZ = 0;
+        for (const [, y, z] of slice) {
+            if (z > maxZ) {
+                area += y * (z - maxZ);
+                maxZ = z;
+            }
+        }
+
+        volume += depth * area;
+    });
+
+    return volume;
+}
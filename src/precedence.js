@@ -3,6 +3,12 @@
  * Handles precedence relations and topological ordering
  */
 
+export const LineType = {
+    STRAIGHT: 'straight',
+    U_SHAPED: 'u-shaped', // stations may also take tasks from the return leg of the U
+    TWO_SIDED: 'two-sided' // mated left and right stations work on the product at the same time
+};
+
 /**
  * Check if the precedence graph contains cycles
  * @param {ProblemConfig} config 
@@ -73,9 +79,26 @@ export function topologicalSort(config) {
     return result.length === config.tasks.size ? result : null;
 }
 
+/**
+ * Whether a task may be assigned next: all predecessors are assigned, or on a U-line
+ * (the back leg) all successors are
+ * @param {ProblemConfig} config
+ * @param {string} taskId
+ * @param {Set<string>} assignedTasks
+ * @returns {boolean}
+ */
+export function isAssignable(config, taskId, assignedTasks) {
+    const predecessors = config.precedence.get(taskId) || [];
+    if (predecessors.every(p => assignedTasks.has(p))) return true;
+
+    if (config.lineType !== LineType.U_SHAPED) return false;
+    const successors = config.successors.get(taskId) || [];
+    return successors.every(s => assignedTasks.has(s));
+}
+
 /**
  * Get all tasks that are available to be assigned
- * (all predecessors have been assigned)
+ * (all predecessors have been assigned, or all successors on a U-line)
  * @param {ProblemConfig} config 
  * @param {Set<string>} assignedTasks - IDs of already assigned tasks
  * @returns {Task[]} available tasks
@@ -86,10 +109,7 @@ export function getAvailableTasks(config, assignedTasks) {
     for (const [taskId, task] of config.tasks) {
         if (assignedTasks.has(taskId)) continue;
 
-        const predecessors = config.precedence.get(taskId) || [];
-        const allPredsDone = predecessors.every(p => assignedTasks.has(p));
-
-        if (allPredsDone) {
+        if (isAssignable(config, taskId, assignedTasks)) {
             available.push(task);
         }
     }
@@ -97,6 +117,68 @@ export function getAvailableTasks(config, assignedTasks) {
     return available;
 }
 
+/**
+ * Place every task of a U-line solution on the front or back leg
+ * Stations are walked in order; within a station a task goes on the front leg once all its
+ * predecessors are placed, or on the back leg once all its successors are. Front placements
+ * are tried first, so tasks only go on the back leg when they have to.
+ * @param {Solution} solution
+ * @param {ProblemConfig} config
+ * @returns {{legs: Map<string, string>, unplaced: Task[]}} 'front' or 'back' per task id, and the
+ *   tasks that fit on neither leg in their station
+ */
+export function assignULineLegs(solution, config) {
+    const legs = new Map();
+    const unplaced = [];
+    const placed = new Set();
+    const allDone = (ids) => ids.every(id => placed.has(id));
+
+    for (const station of solution.stations) {
+        let open = [...station.tasks];
+
+        while (open.length > 0) {
+            let task = open.find(t => allDone(config.precedence.get(t.id) || []));
+            let leg = 'front';
+            if (!task) {
+                task = open.find(t => allDone(config.successors.get(t.id) || []));
+                leg = 'back';
+            }
+            if (!task) break;
+
+            legs.set(task.id, leg);
+            placed.add(task.id);
+            open = open.filter(t => t !== task);
+        }
+
+        unplaced.push(...open);
+        // Keep walking, so one misplaced task is not blamed on every later station
+        open.forEach(t => placed.add(t.id));
+    }
+
+    return { legs, unplaced };
+}
+
+/**
+ * Order the tasks of one station so predecessors come first, keeping the current order where possible
+ * @param {Task[]} tasks
+ * @param {ProblemConfig} config
+ * @returns {Task[]}
+ */
+export function orderByPrecedence(tasks, config) {
+    const ids = new Set(tasks.map(t => t.id));
+    const placed = new Set();
+    const ordered = [];
+
+    while (ordered.length < tasks.length) {
+        const next = tasks.find(t => !placed.has(t.id) &&
+            (config.precedence.get(t.id) || []).every(p => !ids.has(p) || placed.has(p)));
+        placed.add(next.id);
+        ordered.push(next);
+    }
+
+    return ordered;
+}
+
 /**
  * Calculate the positional weight of a task (sum of processing times of itself and all successors)
  * @param {ProblemConfig} config 
@@ -0,0 +1,31 @@
+/**
+ * MOLB Game Tool - Random Numbers
+ * Seedable pseudo-random generator so searches can be reproduced
+ */
+
+/**
+ * Create a seeded random function (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} drop-in replacement for Math.random
+ */
+export function createRandom(seed = Date.now()) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random integer in [0, n)
+ * @param {() => number} random
+ * @param {number} n
+ * @returns {number}
+ */
+export function randomInt(random, n) {
+    return Math.floor(random() * n);
+}
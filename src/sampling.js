@@ -0,0 +1,336 @@
+/**
+ * MOLB Game Tool - Sampling Search
+ * Randomized greedy construction over a range of station counts,
+ * either as a fixed sampling loop or as an anytime search with a time budget
+ */
+
+import { Solution, Station } from './models.js';
+import { validateSolution, requiredReplicas, zoningConflict } from './feasibility.js';
+import { calculateAllScores } from './objectives.js';
+import { findParetoFront, updateArchive } from './pareto.js';
+import { improveParetoFront, improveSolution } from './local-search.js';
+import { createRandom, randomInt } from './random.js';
+import { generateSolution, HeuristicType } from './heuristics.js';
+import { computeLowerBounds } from './lower-bounds.js';
+import { meetsServiceLevel, ChanceMethod } from './stochastic.js';
+import { getAvailableTasks } from './precedence.js';
+
+/**
+ * Station counts worth sampling for a config
+ * The minimum is the best lower bound (work content, task sizes and tool limits over the takt time);
+ * the maximum is half again the station count of a quick LPT greedy run, capped at one task per station.
+ * Overrides of 0 or empty fall back to the automatic value.
+ * @param {ProblemConfig} config - with taktTime set
+ * @param {Object} overrides
+ * @param {number} overrides.minStations
+ * @param {number} overrides.maxStations
+ * @returns {{min: number, max: number, lowerBound: number, greedy: number, isAutomatic: boolean}}
+ */
+export function computeStationRange(config, overrides = {}) {
+    const lowerBound = Math.max(1, computeLowerBounds(config).best);
+    const greedy = generateSolution(config, HeuristicType.LPT).stations.length;
+
+    const autoMax = Math.min(config.tasks.size, Math.ceil(Math.max(greedy, lowerBound) * 1.5));
+    const min = overrides.minStations > 0 ? overrides.minStations : lowerBound;
+    const max = Math.max(min, overrides.maxStations > 0 ? overrides.maxStations : autoMax);
+
+    return {
+        min,
+        max,
+        lowerBound,
+        greedy,
+        isAutomatic: !(overrides.minStations > 0) && !(overrides.maxStations > 0)
+    };
+}
+
+/**
+ * Generate a single feasible solution aimed at a target number of stations
+ * @param {ProblemConfig} config
+ * @param {number} targetStations
+ * @param {() => number} random - seeded random source shared by the whole run
+ * @param {number} maxStdev
+ * @param {number} maxTime
+ * @param {number} toolVariety - max distinct tool types per station
+ * @returns {Solution|null}
+ */
+export function generateTargetSolution(config, targetStations, random, maxStdev, maxTime, toolVariety) {
+    const solution = new Solution();
+    const assigned = new Set();
+    const taskList = Array.from(config.tasks.values());
+
+    const totalTime = taskList.reduce((s, t) => s + t.processingTime, 0);
+    const idealTimePerStation = Math.min(totalTime / targetStations, maxTime);
+
+    // Build successor count for priority
+    const successorCount = new Map();
+    for (const task of taskList) {
+        let count = 0;
+        const queue = [task.id];
+        const visited = new Set();
+        while (queue.length > 0) {
+            const curr = queue.shift();
+            for (const [to, froms] of config.precedence) {
+                if (froms.includes(curr) && !visited.has(to)) {
+                    visited.add(to);
+                    queue.push(to);
+                    count++;
+                }
+            }
+        }
+        successorCount.set(task.id, count);
+    }
+
+    for (let s = 0; s < targetStations && assigned.size < taskList.length; s++) {
+        // Empty stations are dropped, so the station's place in the line follows the kept ones
+        const number = solution.stations.length + 1;
+        const station = new Station(`WS${number}`);
+        let stationTime = 0;
+        const stationTools = new Set();
+
+        while (true) {
+            const available = getAvailableTasks(config, assigned);
+
+            if (available.length === 0) break;
+
+            // Score tasks
+            const scored = available.map(t => {
+                let score = 0;
+                const remaining = idealTimePerStation - stationTime;
+
+                if (t.processingTime <= remaining) score += 100;
+                score += successorCount.get(t.id) * 3;
+                if (stationTools.has(t.toolType)) score += 30;
+
+                // Tool variety constraint
+                if (!stationTools.has(t.toolType) && stationTools.size >= toolVariety) {
+                    score -= 500;
+                }
+
+                // Station restrictions: tasks due in this station first, tasks not allowed here last
+                if (!config.isStationAllowed(t.id, number)) score -= 1000;
+                else if (config.getStationWindow(t.id).latest <= number) score += 1000;
+
+                score += random() * 40;
+
+                return { task: t, score };
+            });
+
+            scored.sort((a, b) => b.score - a.score);
+            const best = scored[0];
+
+            // Stop if adding would exceed max time (times the parallel copies a long task needs)
+            const capacity = maxTime * Math.max(station.replicas, requiredReplicas([best.task], maxTime));
+            if (stationTime + best.task.processingTime > capacity) {
+                break;
+            }
+
+            // ...or for any product variant
+            const variantTimes = config.getVariantTimes(station.tasks);
+            if ([...variantTimes].some(([variant, time]) => time + config.getTaskTime(best.task, variant) > capacity)) {
+                break;
+            }
+
+            // ...or, with stochastic times, if the station would miss the service level
+            if (config.serviceLevel && !meetsServiceLevel([...station.tasks, best.task], capacity, config, ChanceMethod.NORMAL)) {
+                break;
+            }
+
+            // Check tool variety
+            if (!stationTools.has(best.task.toolType) && stationTools.size >= toolVariety) {
+                break;
+            }
+
+            // Check zoning
+            if (zoningConflict(best.task, station.tasks, config, assigned)) {
+                break;
+            }
+
+            // Check station restrictions
+            if (!config.isStationAllowed(best.task.id, number)) {
+                break;
+            }
+
+            station.addTask(best.task);
+            station.replicas = requiredReplicas(station.tasks, maxTime);
+            assigned.add(best.task.id);
+            stationTime += best.task.processingTime;
+            stationTools.add(best.task.toolType);
+        }
+
+        if (station.tasks.length > 0) {
+            solution.addStation(station);
+        }
+    }
+
+    if (assigned.size !== taskList.length) return null;
+
+    // Check max time per station constraint (per copy of a parallel station)
+    const times = solution.stations.map(s => s.totalTime / s.replicas);
+    const maxStationTime = Math.max(...times);
+    if (maxStationTime > maxTime) return null;
+
+    // Check max stdev constraint
+    const mean = times.reduce((a, b) => a + b, 0) / times.length;
+    const variance = times.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / times.length;
+    const stdev = Math.sqrt(variance);
+
+    if (stdev > maxStdev) return null;
+
+    return solution;
+}
+
+/**
+ * Sample solutions for every station count in the range and find the Pareto front
+ * @param {ProblemConfig} config - with taktTime and maxStdev set
+ * @param {Object} options
+ * @param {number} options.seed
+ * @param {number} options.maxStdev
+ * @param {number} options.maxTime
+ * @param {number} options.toolVariety
+ * @param {string} options.acceptance - local-search criterion for the Pareto candidates, empty to skip
+ * @param {number} options.minStations - overrides the automatic range (see computeStationRange)
+ * @param {number} options.maxStations
+ * @param {Function} onProgress - called after each station count with {done, total, solutions, paretoFront}
+ * @returns {{solutions: Solution[], paretoFront: Solution[], improvement: Object|null, stationRange: Object}}
+ */
+export function searchParetoSolutions(config, options, onProgress = () => {}) {
+    const { seed, maxStdev, maxTime, toolVariety, acceptance } = options;
+    const solutions = [];
+    const seen = new Set();
+    const random = createRandom(seed);
+
+    const stationRange = computeStationRange(config, options);
+    const { min: minStations, max: maxStations } = stationRange;
+    const total = (maxStations - minStations + 1) * 100;
+
+    // Generate solutions for every station count in the range
+    for (let numStations = minStations; numStations <= maxStations; numStations++) {
+        for (let iter = 0; iter < 100; iter++) {
+            const sol = generateTargetSolution(config, numStations, random, maxStdev, maxTime, toolVariety);
+            if (sol) {
+                const hash = sol.getHash();
+                if (!seen.has(hash)) {
+                    seen.add(hash);
+                    validateSolution(sol, config);
+                    if (sol.isValid) {
+                        calculateAllScores(sol, config);
+                        solutions.push(sol);
+                    }
+                }
+            }
+        }
+
+        onProgress({
+            done: (numStations - minStations + 1) * 100,
+            total,
+            solutions: solutions.length,
+            paretoFront: findParetoFront(solutions)
+        });
+    }
+
+    // Find Pareto front
+    let paretoFront = findParetoFront(solutions);
+
+    // Improve every Pareto candidate with local search, keeping the originals
+    let improvement = null;
+    if (acceptance && paretoFront.length > 0) {
+        improvement = improveParetoFront(paretoFront, config, { acceptance, seed });
+        for (const sol of improvement.solutions) {
+            if (!seen.has(sol.getHash())) {
+                seen.add(sol.getHash());
+                solutions.push(sol);
+            }
+        }
+        paretoFront = findParetoFront(solutions);
+    }
+
+    // Sort Pareto by weighted score
+    paretoFront.sort((a, b) => b.scores.weighted - a.scores.weighted);
+
+    return { solutions, paretoFront, improvement, stationRange };
+}
+
+/**
+ * Anytime search: keep constructing and improving solutions until the time budget is spent
+ * Only the non-dominated archive is kept, so memory stays bounded on long runs.
+ * @param {ProblemConfig} config - with taktTime and maxStdev set
+ * @param {Object} options
+ * @param {number} options.timeBudget - seconds to search
+ * @param {number} options.seed
+ * @param {number} options.maxStdev
+ * @param {number} options.maxTime
+ * @param {number} options.toolVariety
+ * @param {string} options.acceptance - local-search criterion for archive members, empty to skip
+ * @param {number} options.minStations - overrides the automatic range (see computeStationRange)
+ * @param {number} options.maxStations
+ * @param {Function} onProgress - called a few times per second with {done, total, evaluations, paretoFront, lastChangeMs}
+ * @returns {{solutions: Solution[], paretoFront: Solution[], evaluations: number, evaluationsPerSecond: number, lastChangeMs: number, stationRange: Object}}
+ */
+export function runAnytimeSearch(config, options, onProgress = () => {}) {
+    const { timeBudget, seed, maxStdev, maxTime, toolVariety, acceptance } = options;
+    const random = createRandom(seed);
+    const budgetMs = timeBudget * 1000;
+    const start = Date.now();
+
+    const archive = [];
+    const stationRange = computeStationRange(config, options);
+    const { min: minStations, max: maxStations } = stationRange;
+    let evaluations = 0;
+    let lastChangeMs = 0;
+    let lastReport = start;
+
+    const consider = (solution) => {
+        if (updateArchive(archive, solution)) {
+            lastChangeMs = Date.now() - start;
+        }
+    };
+
+    while (Date.now() - start < budgetMs) {
+        const numStations = minStations + randomInt(random, maxStations - minStations + 1);
+        const sol = generateTargetSolution(config, numStations, random, maxStdev, maxTime, toolVariety);
+        evaluations++;
+
+        if (sol) {
+            validateSolution(sol, config);
+            if (sol.isValid) {
+                calculateAllScores(sol, config);
+                consider(sol);
+            }
+        }
+
+        // Regularly push a random archive member outward with local search
+        if (acceptance && archive.length > 0 && evaluations % 20 === 0) {
+            const member = archive[randomInt(random, archive.length)];
+            const result = improveSolution(member, config, {
+                acceptance,
+                iterations: 50,
+                seed: seed + evaluations
+            });
+            evaluations += result.evaluations;
+            if (result.solution !== member) consider(result.solution);
+        }
+
+        if (Date.now() - lastReport > 250) {
+            lastReport = Date.now();
+            onProgress({
+                done: Math.min(budgetMs, lastReport - start),
+                total: budgetMs,
+                evaluations,
+                paretoFront: archive,
+                lastChangeMs
+            });
+        }
+    }
+
+    const elapsedMs = Date.now() - start;
+    const paretoFront = [...archive].sort((a, b) => b.scores.weighted - a.scores.weighted);
+
+    return {
+        solutions: paretoFront,
+        paretoFront,
+        evaluations,
+        evaluationsPerSecond: evaluations / Math.max(elapsedMs / 1000, 0.001),
+        lastChangeMs,
+        stationRange
+    };
+}
@@ -0,0 +1,45 @@
+/**
+ * MOLB Game Tool - Search Worker
+ * Runs a registered solver off the UI thread and streams intermediate fronts
+ *
+ * In:  { solverId, config: ProblemConfig.toJSON(), options }
+ * Out: { type: 'progress', done, total, solutions, evaluations, lastChangeMs, paretoFront, elapsedMs }
+ *      { type: 'done', solutions, paretoFront, metadata, message, error, elapsedMs }
+ *      { type: 'error', message }
+ */
+
+import { ProblemConfig } from './models.js';
+import { runSolver } from './solvers.js';
+
+self.onmessage = (e) => {
+    const start = Date.now();
+
+    try {
+        const config = ProblemConfig.fromJSON(e.data.config);
+
+        const result = runSolver(e.data.solverId, config, e.data.options, (progress) => {
+            self.postMessage({
+                type: 'progress',
+                done: progress.done,
+                total: progress.total,
+                solutions: progress.solutions ?? progress.paretoFront.length,
+                evaluations: progress.evaluations,
+                lastChangeMs: progress.lastChangeMs,
+                paretoFront: progress.paretoFront.map(s => s.toJSON()),
+                elapsedMs: Date.now() - start
+            });
+        });
+
+        self.postMessage({
+            type: 'done',
+            solutions: result.solutions.map(s => s.toJSON()),
+            paretoFront: result.paretoFront.map(s => s.toJSON()),
+            metadata: result.metadata,
+            message: result.message,
+            error: result.error,
+            elapsedMs: Date.now() - start
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
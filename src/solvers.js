@@ -0,0 +1,459 @@
+/**
+ * MOLB Game Tool - Solver Registry
+ * Every construction and optimization algorithm registers here with a name,
+ * a parameter schema and its capabilities, and is run through runSolver
+ *
+ * A solver is { id, name, description, parameters, capabilities, run }
+ * - parameters: [{ key, label, type: 'number'|'select', default, min, max, step, options: [{value, label}] }]
+ * - capabilities: { pareto, exact, progress, merge, compare }
+ *   merge: results are added to the current set instead of replacing it
+ *   compare: the result is an exact front that the current front is measured against
+ * - run(config, options, onProgress) returns { solutions, paretoFront?, metadata?, message?, error? }
+ */
+
+import { validateSolution } from './feasibility.js';
+import { calculateAllScores } from './objectives.js';
+import { findParetoFront } from './pareto.js';
+import { searchParetoSolutions, runAnytimeSearch } from './sampling.js';
+import { generateAllSolutions, generateMultipleSolutions, HeuristicType, LoadingDirection } from './heuristics.js';
+import { runAntColony, PheromoneUpdate } from './aco.js';
+import { runNSGA2 } from './nsga2.js';
+import { solveMinStations, solveMinCycleTime } from './exact.js';
+import { runEpsilonConstraint } from './epsilon.js';
+import { enumerateParetoFront } from './enumeration.js';
+import { runTwoSided, TwoSidedRule } from './two-sided.js';
+import { runWorkerAssignment, WorkerRule } from './workers.js';
+import { LineType } from './precedence.js';
+import { AcceptanceType } from './local-search.js';
+import { createRandom } from './random.js';
+
+const solvers = new Map();
+
+/**
+ * Register a solver, replacing any solver with the same id
+ * @param {Object} solver - see the module comment
+ */
+export function registerSolver(solver) {
+    if (!solver.id || typeof solver.run !== 'function') {
+        throw new Error('Solver heeft een id en een run-functie nodig');
+    }
+
+    solvers.set(solver.id, {
+        description: '',
+        parameters: [],
+        ...solver,
+        capabilities: { pareto: false, exact: false, progress: false, merge: false, compare: false, ...solver.capabilities }
+    });
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getSolver(id) {
+    return solvers.get(id);
+}
+
+/**
+ * @returns {Object[]} all solvers in registration order
+ */
+export function listSolvers() {
+    return Array.from(solvers.values());
+}
+
+/**
+ * Default option values from a solver's parameter schema
+ * @param {string} id
+ * @returns {Object} key -> default value
+ */
+export function getDefaultOptions(id) {
+    const options = {};
+    for (const param of getSolver(id)?.parameters || []) {
+        options[param.key] = param.default;
+    }
+    return options;
+}
+
+// Display names of the construction rules that label their own solutions
+const HEURISTIC_NAMES = {
+    [HeuristicType.LPT]: 'LPT',
+    [HeuristicType.SLACK]: 'Minste slack',
+    [HeuristicType.WEIGHT]: 'Positiegewicht',
+    [HeuristicType.RANDOM]: 'Willekeurig',
+    [HeuristicType.HYBRID]: 'Hybride',
+    [HeuristicType.ACO]: 'ACO',
+    [HeuristicType.RPW]: 'RPW',
+    [HeuristicType.COMSOAL]: 'COMSOAL',
+    [HeuristicType.MOODIE_YOUNG]: 'Moodie-Young',
+    [HeuristicType.KILBRIDGE_WESTER]: 'Kilbridge-Wester'
+};
+
+const DIRECTION_NAMES = {
+    [LoadingDirection.BACKWARD]: 'achterwaarts',
+    [LoadingDirection.BIDIRECTIONAL]: 'bidirectioneel'
+};
+
+/**
+ * Display name for the method that found a solution
+ * @param {string|null} method - a solver id, a HeuristicType, or "heuristic:direction"
+ * @returns {string}
+ */
+export function getMethodLabel(method) {
+    if (!method) return 'Onbekend';
+
+    const [base, direction] = method.split(':');
+    const name = HEURISTIC_NAMES[base] || getSolver(base)?.name || base;
+    return direction ? `${name} (${DIRECTION_NAMES[direction] || direction})` : name;
+}
+
+/**
+ * Run a registered solver and normalize its result
+ * Every returned solution is validated and scored; invalid and duplicate solutions are dropped.
+ * @param {string} id
+ * @param {ProblemConfig} config - with weights, taktTime and maxStdev set
+ * @param {Object} options - run settings (seed, maxStdev, maxTime, toolVariety) plus the solver's own parameters
+ * @param {Function} onProgress - forwarded to solvers with the progress capability
+ * @returns {{solutions: Solution[], paretoFront: Solution[], metadata: Object, message: string|null, error: string|null, elapsedMs: number}}
+ */
+export function runSolver(id, config, options = {}, onProgress = () => {}) {
+    const start = Date.now();
+    const solver = getSolver(id);
+
+    if (!solver) {
+        return { solutions: [], paretoFront: [], metadata: {}, message: null, error: `Onbekende solver: ${id}`, elapsedMs: 0 };
+    }
+
+    const raw = solver.run(config, { ...getDefaultOptions(id), ...options }, onProgress);
+
+    const solutions = [];
+    const seen = new Set();
+    for (const sol of raw.solutions || []) {
+        const hash = sol.getHash();
+        if (seen.has(hash)) continue;
+
+        validateSolution(sol, config);
+        if (!sol.isValid) continue;
+
+        calculateAllScores(sol, config);
+        if (!sol.method) sol.method = id;
+        seen.add(hash);
+        solutions.push(sol);
+    }
+
+    const paretoFront = findParetoFront(solutions);
+    paretoFront.sort((a, b) => b.scores.weighted - a.scores.weighted);
+
+    return {
+        solutions,
+        paretoFront,
+        metadata: raw.metadata || {},
+        message: raw.message || null,
+        error: raw.error || null,
+        elapsedMs: Date.now() - start
+    };
+}
+
+// Built-in solvers
+
+registerSolver({
+    id: 'sampling',
+    name: 'Pareto steekproef',
+    description: 'Gerandomiseerde constructie over het stationsbereik, met een optioneel tijdsbudget',
+    parameters: [
+        {
+            key: 'acceptance', label: 'Lokaal zoeken', type: 'select', default: AcceptanceType.HILL_CLIMBING,
+            options: [
+                { value: '', label: 'Uit' },
+                { value: AcceptanceType.HILL_CLIMBING, label: 'Hill climbing' },
+                { value: AcceptanceType.SIMULATED_ANNEALING, label: 'Simulated annealing' }
+            ]
+        },
+        { key: 'timeBudget', label: 'Budget (s)', type: 'number', default: 0, min: 0, title: '0 = vaste steekproef van 100 oplossingen per stationsaantal' }
+    ],
+    capabilities: { pareto: true, progress: true },
+    run(config, options, onProgress) {
+        if (options.timeBudget > 0) {
+            const result = runAnytimeSearch(config, options, onProgress);
+            return {
+                solutions: result.solutions,
+                metadata: {
+                    stats: {
+                        evaluations: result.evaluations,
+                        evaluationsPerSecond: result.evaluationsPerSecond,
+                        lastChangeMs: result.lastChangeMs
+                    },
+                    stationRange: result.stationRange
+                }
+            };
+        }
+
+        const result = searchParetoSolutions(config, options, onProgress);
+        return {
+            solutions: result.solutions,
+            metadata: {
+                improvement: result.improvement && {
+                    improved: result.improvement.improved,
+                    improvement: result.improvement.improvement
+                },
+                stationRange: result.stationRange
+            }
+        };
+    }
+});
+
+registerSolver({
+    id: 'priority-rules',
+    name: 'Prioriteitsregels',
+    description: 'Station-georiënteerde constructie met klassieke prioriteitsregels (LPT, RPW, COMSOAL, Moodie-Young, ...)',
+    parameters: [
+        {
+            key: 'rule', label: 'Regel', type: 'select', default: 'all',
+            options: [
+                { value: 'all', label: 'Alle regels' },
+                { value: HeuristicType.LPT, label: 'LPT' },
+                { value: HeuristicType.SLACK, label: 'Minste slack' },
+                { value: HeuristicType.WEIGHT, label: 'Positiegewicht' },
+                { value: HeuristicType.RANDOM, label: 'Willekeurig' },
+                { value: HeuristicType.HYBRID, label: 'Hybride' },
+                { value: HeuristicType.RPW, label: 'RPW' },
+                { value: HeuristicType.COMSOAL, label: 'COMSOAL' },
+                { value: HeuristicType.MOODIE_YOUNG, label: 'Moodie-Young' },
+                { value: HeuristicType.KILBRIDGE_WESTER, label: 'Kilbridge-Wester' }
+            ]
+        },
+        {
+            key: 'direction', label: 'Richting', type: 'select', default: LoadingDirection.FORWARD,
+            options: [
+                { value: LoadingDirection.FORWARD, label: 'Voorwaarts' },
+                { value: LoadingDirection.BACKWARD, label: 'Achterwaarts' },
+                { value: LoadingDirection.BIDIRECTIONAL, label: 'Bidirectioneel' },
+                { value: 'all', label: 'Alle richtingen' }
+            ]
+        },
+        { key: 'iterations', label: 'Iteraties', type: 'number', default: 100, min: 1 }
+    ],
+    capabilities: { pareto: true, merge: true },
+    run(config, options) {
+        const directions = options.direction === 'all' ? Object.values(LoadingDirection) : [options.direction];
+        const solutions = options.rule === 'all'
+            ? generateAllSolutions(config, { iterations: options.iterations, seed: options.seed, directions })
+            : directions.flatMap(direction => generateMultipleSolutions(
+                config, options.rule, Math.ceil(options.iterations / directions.length), createRandom(options.seed), direction));
+        return { solutions, message: `Prioriteitsregels: ${solutions.length} verschillende oplossingen` };
+    }
+});
+
+registerSolver({
+    id: 'aco',
+    name: 'Mierenkolonie (ACO)',
+    description: 'Mieren laden stations op basis van feromoon en positiegewicht',
+    parameters: [
+        { key: 'ants', label: 'Mieren', type: 'number', default: 10, min: 1 },
+        { key: 'iterations', label: 'Iteraties', type: 'number', default: 20, min: 1 },
+        { key: 'evaporation', label: 'Verdamping', type: 'number', default: 0.1, min: 0, max: 1, step: 0.05 },
+        {
+            key: 'update', label: 'Update', type: 'select', default: PheromoneUpdate.WEIGHTED,
+            options: [
+                { value: PheromoneUpdate.WEIGHTED, label: 'Beste mier (gewogen)' },
+                { value: PheromoneUpdate.PARETO, label: 'Pareto-rang' }
+            ]
+        }
+    ],
+    capabilities: { pareto: true, merge: true },
+    run(config, options) {
+        const solutions = runAntColony(config, options);
+        return { solutions, message: `ACO: ${solutions.length} verschillende oplossingen` };
+    }
+});
+
+registerSolver({
+    id: 'nsga2',
+    name: 'NSGA-II',
+    description: 'Evolutionair algoritme over taakvolgorde en stationslimiet',
+    parameters: [
+        { key: 'populationSize', label: 'Populatie', type: 'number', default: 60, min: 4 },
+        { key: 'generations', label: 'Generaties', type: 'number', default: 100, min: 1 }
+    ],
+    capabilities: { pareto: true, merge: true },
+    run(config, options) {
+        const result = runNSGA2(config, options);
+        return {
+            solutions: result.solutions,
+            metadata: { evaluations: result.evaluations },
+            message: `NSGA-II: ${result.paretoFront.length} Pareto-oplossingen na ${result.evaluations} evaluaties`,
+            error: result.error
+        };
+    }
+});
+
+registerSolver({
+    id: 'two-sided',
+    name: 'Tweezijdige lijn',
+    description: 'Vult per positie een links en rechts station tegelijk; taken wachten op voorgangers aan de overkant',
+    parameters: [
+        {
+            key: 'rule', label: 'Regel', type: 'select', default: 'all',
+            options: [
+                { value: 'all', label: 'Alle regels' },
+                { value: TwoSidedRule.RPW, label: 'RPW' },
+                { value: TwoSidedRule.LPT, label: 'LPT' },
+                { value: TwoSidedRule.RANDOM, label: 'Willekeurig' }
+            ]
+        },
+        { key: 'iterations', label: 'Iteraties', type: 'number', default: 50, min: 1 }
+    ],
+    capabilities: { pareto: true, merge: true },
+    run(config, options) {
+        if (config.lineType !== LineType.TWO_SIDED) {
+            return { solutions: [], error: 'Kies eerst het lijntype "Tweezijdig"' };
+        }
+        const result = runTwoSided(config, options);
+        return {
+            solutions: result.solutions,
+            message: `Tweezijdige lijn: ${result.solutions.length} verschillende oplossingen`,
+            error: result.error
+        };
+    }
+});
+
+registerSolver({
+    id: 'workers',
+    name: 'Werknemertoewijzing',
+    description: 'Kiest per station een werknemer uit het rooster en vult het station met diens taaktijden',
+    parameters: [
+        {
+            key: 'rule', label: 'Werknemerkeuze', type: 'select', default: 'all',
+            options: [
+                { value: 'all', label: 'Alle regels' },
+                { value: WorkerRule.LOAD, label: 'Meeste werk' },
+                { value: WorkerRule.EFFICIENCY, label: 'Efficiëntste' }
+            ]
+        },
+        { key: 'iterations', label: 'Iteraties', type: 'number', default: 50, min: 1 }
+    ],
+    capabilities: { pareto: true, merge: true },
+    run(config, options) {
+        const result = runWorkerAssignment(config, options);
+        return {
+            solutions: result.solutions,
+            message: `Werknemertoewijzing: ${result.solutions.length} verschillende oplossingen`,
+            error: result.error
+        };
+    }
+});
+
+registerSolver({
+    id: 'epsilon',
+    name: 'Epsilon-constraint',
+    description: 'Maximaliseert één score met een raster van ondergrenzen op de andere twee',
+    parameters: [
+        {
+            key: 'primary', label: 'Maximaliseer', type: 'select', default: 'economic',
+            options: [
+                { value: 'economic', label: 'Economisch' },
+                { value: 'social', label: 'Sociaal' },
+                { value: 'environmental', label: 'Milieu' }
+            ]
+        },
+        { key: 'gridSize', label: 'Raster', type: 'number', default: 5, min: 2, max: 10 },
+        { key: 'iterations', label: 'Iteraties/cel', type: 'number', default: 300, min: 10 }
+    ],
+    capabilities: { pareto: true, progress: true },
+    run(config, options, onProgress) {
+        const result = runEpsilonConstraint(config, options, onProgress);
+        const cells = options.gridSize * options.gridSize;
+        return {
+            solutions: result.solutions,
+            metadata: { epsilonGrid: result.grid, stationRange: result.stationRange },
+            message: `Epsilon-constraint: ${result.paretoFront.length} Pareto-oplossingen, ${result.infeasibleCells}/${cells} cellen zonder oplossing`,
+            error: result.error
+        };
+    }
+});
+
+/**
+ * Reason the exact solvers cannot run on this config: their load search has no chance constraints,
+ * so it could not prove a balance optimal
+ * @returns {string|null}
+ */
+function exactUnsupported(config) {
+    return config.serviceLevel
+        ? 'De exacte solvers ondersteunen geen servicegraad; zet de servicegraad uit'
+        : null;
+}
+
+registerSolver({
+    id: 'exact-stations',
+    name: 'Min. stations (exact)',
+    description: 'Branch-and-bound voor het minimale aantal stations binnen de takt-tijd',
+    parameters: [
+        { key: 'timeLimit', label: 'Limiet (s)', type: 'number', default: 10, min: 1 }
+    ],
+    capabilities: { exact: true, merge: true },
+    run(config, options) {
+        const unsupported = exactUnsupported(config);
+        if (unsupported) return { solutions: [], error: unsupported };
+
+        const result = solveMinStations(config, { timeLimit: options.timeLimit * 1000 });
+        if (!result.solution) {
+            return { solutions: [], error: result.error || 'Geen oplossing gevonden binnen de tijdslimiet' };
+        }
+
+        return {
+            solutions: [result.solution],
+            metadata: { lowerBound: result.lowerBound, gap: result.gap, isOptimal: result.isOptimal, nodes: result.nodes },
+            message: result.isOptimal
+                ? `Optimaal: ${result.numStations} stations (${result.nodes} knopen)`
+                : `${result.numStations} stations, ondergrens ${result.lowerBound} (gap ${(result.gap * 100).toFixed(1)}%)`
+        };
+    }
+});
+
+registerSolver({
+    id: 'exact-cycle',
+    name: 'Min. cyclustijd (exact)',
+    description: 'Bisectie met branch-and-bound voor de kortste cyclustijd bij een vast aantal stations',
+    parameters: [
+        { key: 'stations', label: 'Stations', type: 'number', default: 8, min: 1 },
+        { key: 'timeLimit', label: 'Limiet (s)', type: 'number', default: 10, min: 1 }
+    ],
+    capabilities: { exact: true, merge: true },
+    run(config, options) {
+        const unsupported = exactUnsupported(config);
+        if (unsupported) return { solutions: [], error: unsupported };
+
+        const result = solveMinCycleTime(config, options.stations, { timeLimit: options.timeLimit * 1000 });
+        if (!result.solution) {
+            return { solutions: [], error: result.error || 'Geen oplossing gevonden' };
+        }
+
+        return {
+            solutions: [result.solution],
+            metadata: { lowerBound: result.lowerBound, isOptimal: result.isOptimal, nodes: result.nodes },
+            message: result.isOptimal
+                ? `Optimaal: cyclustijd ${result.cycleTime}s met ${result.solution.stations.length} stations`
+                : `Cyclustijd ${result.cycleTime}s, ondergrens ${result.lowerBound}s`
+        };
+    }
+});
+
+registerSolver({
+    id: 'enumeration',
+    name: 'Exacte front (enumeratie)',
+    description: 'Somt alle toewijzingen op voor kleine instanties (tot 20 taken) en vergelijkt de huidige front hiermee',
+    parameters: [
+        { key: 'timeLimit', label: 'Limiet (s)', type: 'number', default: 30, min: 1 }
+    ],
+    capabilities: { pareto: true, exact: true, merge: true, compare: true },
+    run(config, options) {
+        const result = enumerateParetoFront(config, { timeLimit: options.timeLimit * 1000 });
+        return {
+            solutions: result.paretoFront,
+            metadata: { assignments: result.assignments, nodes: result.nodes, isComplete: result.isComplete },
+            message: result.isComplete
+                ? `Exacte front: ${result.paretoFront.length} punten uit ${result.assignments} toewijzingen`
+                : `Tijdslimiet bereikt: front uit ${result.assignments} toewijzingen is onvolledig`,
+            error: result.error
+        };
+    }
+});
@@ -0,0 +1,133 @@
+/**
+ * MOLB Game Tool - Stochastic Task Times
+ * Task time distributions and chance-constrained station feasibility:
+ * a station is feasible if P(station time <= cycle time) meets the service level
+ */
+
+import { createRandom } from './random.js';
+
+export const ChanceMethod = {
+    NORMAL: 'normal',          // sum of task times approximated by a normal distribution
+    MONTE_CARLO: 'monte-carlo' // sampled from the task distributions
+};
+
+const MONTE_CARLO_SAMPLES = 1000;
+
+// Monte Carlo estimates by station content; solvers validate the same stations over and over
+const monteCarloCache = new Map();
+const MONTE_CARLO_CACHE_SIZE = 20000;
+
+/**
+ * Whether a task has a time distribution instead of a fixed time
+ * @param {Task} task
+ * @returns {boolean}
+ */
+export function isStochastic(task) {
+    return task.timeStdev > 0 || !!task.timeRange;
+}
+
+/**
+ * Mean and variance of a task time
+ * Triangular for min/mode/max, otherwise normal around processingTime with timeStdev.
+ * @param {Task} task
+ * @returns {{mean: number, variance: number}}
+ */
+export function getTaskDistribution(task) {
+    if (task.timeRange) {
+        const { min: a, mode: c, max: b } = task.timeRange;
+        return {
+            mean: (a + b + c) / 3,
+            variance: (a * a + b * b + c * c - a * b - a * c - b * c) / 18
+        };
+    }
+    return { mean: task.processingTime, variance: (task.timeStdev || 0) ** 2 };
+}
+
+/**
+ * Draw one task time; normal draws are cut off at zero
+ */
+function sampleTaskTime(task, random) {
+    if (task.timeRange) {
+        // Inverse CDF of the triangular distribution
+        const { min: a, mode: c, max: b } = task.timeRange;
+        if (b <= a) return a;
+        const u = random();
+        const split = (c - a) / (b - a);
+        return u < split
+            ? a + Math.sqrt(u * (b - a) * (c - a))
+            : b - Math.sqrt((1 - u) * (b - a) * (b - c));
+    }
+    if (!(task.timeStdev > 0)) return task.processingTime;
+
+    // Box-Muller
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.max(0, task.processingTime + task.timeStdev * z);
+}
+
+/**
+ * Standard normal CDF from erf(|x|/√2) by Abramowitz-Stegun 7.1.26
+ * (absolute error at most 1.5e-7 on erf, so at most 7.5e-8 on the CDF)
+ * @param {number} x
+ * @returns {number}
+ */
+export function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Probability that the tasks of a station together take longer than the cycle time
+ * Monte Carlo runs are seeded and cached, so the same station always gets the same estimate.
+ * @param {Task[]} tasks
+ * @param {number} cycleTime
+ * @param {string} method - ChanceMethod
+ * @returns {number}
+ */
+export function overloadProbability(tasks, cycleTime, method = ChanceMethod.NORMAL) {
+    if (method === ChanceMethod.MONTE_CARLO && tasks.some(isStochastic)) {
+        // The key holds the distributions too, so edited tasks are estimated again
+        const key = cycleTime + '|' + tasks
+            .map(t => `${t.id}:${t.processingTime}:${t.timeStdev || 0}:${t.timeRange ? Object.values(t.timeRange).join('/') : ''}`)
+            .sort()
+            .join(',');
+        if (monteCarloCache.has(key)) return monteCarloCache.get(key);
+
+        // Sample in id order, so the estimate does not depend on the task order within the station
+        const sorted = [...tasks].sort((a, b) => (a.id < b.id ? -1 : 1));
+        const random = createRandom(tasks.length);
+        let overloads = 0;
+        for (let i = 0; i < MONTE_CARLO_SAMPLES; i++) {
+            const time = sorted.reduce((sum, t) => sum + sampleTaskTime(t, random), 0);
+            if (time > cycleTime) overloads++;
+        }
+
+        if (monteCarloCache.size >= MONTE_CARLO_CACHE_SIZE) monteCarloCache.clear();
+        monteCarloCache.set(key, overloads / MONTE_CARLO_SAMPLES);
+        return overloads / MONTE_CARLO_SAMPLES;
+    }
+
+    let mean = 0;
+    let variance = 0;
+    for (const task of tasks) {
+        const dist = getTaskDistribution(task);
+        mean += dist.mean;
+        variance += dist.variance;
+    }
+    if (variance === 0) return mean > cycleTime ? 1 : 0;
+    return 1 - normalCdf((cycleTime - mean) / Math.sqrt(variance));
+}
+
+/**
+ * Chance constraint of a station; always met when the config has no service level
+ * @param {Task[]} tasks
+ * @param {number} cycleTime
+ * @param {ProblemConfig} config - serviceLevel and chanceMethod
+ * @param {string} method - defaults to the config's method
+ * @returns {boolean}
+ */
+export function meetsServiceLevel(tasks, cycleTime, config, method = config.chanceMethod) {
+    if (!config.serviceLevel) return true;
+    return 1 - overloadProbability(tasks, cycleTime, method) >= config.serviceLevel;
+}
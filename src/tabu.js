@@ -0,0 +1,191 @@
+/**
+ * MOLB Game Tool - Tabu Search
+ * Smooths station workloads (social score) for a fixed number of stations
+ */
+
+import { Solution } from './models.js';
+import { validateSolution, requiredReplicas, zoningAllows, toolsFit, variantsFit } from './feasibility.js';
+import { calculateAllScores, getSolutionStatistics, getStationLoad } from './objectives.js';
+import { orderByPrecedence } from './precedence.js';
+import { meetsServiceLevel } from './stochastic.js';
+
+/**
+ * Population standard deviation of station times (STDEV.P, as in the social score)
+ */
+function stdevOf(times) {
+    const mean = times.reduce((a, b) => a + b, 0) / times.length;
+    return Math.sqrt(times.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / times.length);
+}
+
+/**
+ * Smooth the workload of a solution with tabu search
+ * The station count stays fixed; moves are task transfers and task swaps between stations
+ * @param {Solution} solution - a valid solution
+ * @param {ProblemConfig} config
+ * @param {Object} options
+ * @param {number} options.maxIterations - number of tabu iterations
+ * @param {number} options.tenure - iterations a reversed move stays tabu
+ * @param {number} options.maxNoImprove - stop after this many iterations without a new best
+ * @returns {{solution: Solution, initialStdev: number, stdev: number, iterations: number}}
+ */
+export function smoothWorkload(solution, config, options = {}) {
+    const {
+        maxIterations = 200,
+        tenure = 7,
+        maxNoImprove = 50
+    } = options;
+
+    const taktTime = solution.cycleTime || config.taktTime;
+    const stations = solution.stations.map(s => [...s.tasks]);
+    // A station with other tasks keeps its worker, side and position; its parallel copies follow
+    // its longest task, as the feasibility check requires
+    const rebuild = (tasks, i) => {
+        const station = solution.stations[i].withTasks(tasks);
+        station.replicas = requiredReplicas(tasks, taktTime);
+        return station;
+    };
+    // Station times as the social score measures them (per copy, with variant and worker times)
+    const loadOf = (tasks, i) => getStationLoad(rebuild(tasks, i), config);
+    const times = stations.map((tasks, i) => loadOf(tasks, i));
+    // Every variant must fit the cycle time of the station and its copies, not just the average,
+    // and with stochastic times the station must meet the service level
+    const fitsCycle = (tasks) => {
+        const capacity = taktTime * requiredReplicas(tasks, taktTime);
+        return variantsFit(tasks, config, capacity) && meetsServiceLevel(tasks, capacity, config);
+    };
+    const stationOf = new Map();
+    stations.forEach((tasks, i) => tasks.forEach(t => stationOf.set(t.id, i)));
+
+    const initialStdev = stdevOf(times);
+    let bestStdev = initialStdev;
+    let bestStations = stations.map(tasks => [...tasks]);
+
+    const tabuUntil = new Map(); // "taskId:station" -> iteration until which moving back is tabu
+    const isTabu = (taskId, station, iter) => (tabuUntil.get(`${taskId}:${station}`) || 0) > iter;
+
+    // Precedence allows taskId in station `target` if predecessors are not later and successors not earlier;
+    // the station restrictions of the task must allow it too
+    const allowed = (taskId, target, except = null) => {
+        const where = (id) => (except && id === except.id ? except.station : stationOf.get(id));
+        return config.isStationAllowed(taskId, target + 1) &&
+            (config.precedence.get(taskId) || []).every(p => where(p) <= target) &&
+            (config.successors.get(taskId) || []).every(s => where(s) >= target);
+    };
+
+    let iterations = 0;
+    let sinceImprove = 0;
+
+    for (let iter = 0; iter < maxIterations && sinceImprove < maxNoImprove; iter++) {
+        iterations++;
+        let bestMove = null;
+
+        const consider = (move, newTimes, tabu) => {
+            const value = stdevOf(newTimes);
+            // Aspiration: a tabu move is allowed when it beats the best solution so far
+            if (tabu && value >= bestStdev) return;
+            if (!bestMove || value < bestMove.value) {
+                bestMove = { ...move, times: newTimes, value };
+            }
+        };
+
+        // Transfers: move one task to another station
+        stations.forEach((tasks, from) => {
+            if (tasks.length < 2) return; // keep the station count fixed
+
+            tasks.forEach(task => {
+                const fromTime = loadOf(tasks.filter(t => t !== task), from);
+
+                for (let to = 0; to < stations.length; to++) {
+                    if (to === from) continue;
+                    if (!allowed(task.id, to)) continue;
+                    const newTo = [...stations[to], task];
+                    if (!toolsFit(newTo, config) || !zoningAllows(newTo, config)) continue;
+                    if (!fitsCycle(newTo)) continue;
+                    const toTime = loadOf(newTo, to);
+                    if (toTime > taktTime) continue;
+
+                    const newTimes = [...times];
+                    newTimes[from] = fromTime;
+                    newTimes[to] = toTime;
+                    consider({ type: 'transfer', task, from, to }, newTimes, isTabu(task.id, to, iter));
+                }
+            });
+        });
+
+        // Swaps: exchange two tasks between stations
+        for (let i = 0; i < stations.length; i++) {
+            for (let j = i + 1; j < stations.length; j++) {
+                for (const a of stations[i]) {
+                    for (const b of stations[j]) {
+                        if (!allowed(a.id, j, { id: b.id, station: i }) ||
+                            !allowed(b.id, i, { id: a.id, station: j })) continue;
+                        const newI = [...stations[i].filter(t => t !== a), b];
+                        const newJ = [...stations[j].filter(t => t !== b), a];
+                        if (!toolsFit(newI, config) || !toolsFit(newJ, config)) continue;
+                        if (!zoningAllows(newI, config) || !zoningAllows(newJ, config)) continue;
+                        if (!fitsCycle(newI) || !fitsCycle(newJ)) continue;
+
+                        const timeI = loadOf(newI, i);
+                        const timeJ = loadOf(newJ, j);
+                        // A swap of equal times changes nothing
+                        if (Math.abs(timeI - times[i]) < 1e-9) continue;
+                        if (timeI > taktTime || timeJ > taktTime) continue;
+
+                        const newTimes = [...times];
+                        newTimes[i] = timeI;
+                        newTimes[j] = timeJ;
+                        const tabu = isTabu(a.id, j, iter) || isTabu(b.id, i, iter);
+                        consider({ type: 'swap', a, b, i, j }, newTimes, tabu);
+                    }
+                }
+            }
+        }
+
+        if (!bestMove) break;
+
+        if (bestMove.type === 'transfer') {
+            const { task, from, to } = bestMove;
+            stations[from] = stations[from].filter(t => t !== task);
+            stations[to] = orderByPrecedence([...stations[to], task], config);
+            stationOf.set(task.id, to);
+            tabuUntil.set(`${task.id}:${from}`, iter + tenure);
+        } else {
+            const { a, b, i, j } = bestMove;
+            stations[i] = orderByPrecedence([...stations[i].filter(t => t !== a), b], config);
+            stations[j] = orderByPrecedence([...stations[j].filter(t => t !== b), a], config);
+            stationOf.set(a.id, j);
+            stationOf.set(b.id, i);
+            tabuUntil.set(`${a.id}:${i}`, iter + tenure);
+            tabuUntil.set(`${b.id}:${j}`, iter + tenure);
+        }
+
+        bestMove.times.forEach((time, i) => { times[i] = time; });
+
+        if (bestMove.value < bestStdev - 1e-9) {
+            bestStdev = bestMove.value;
+            bestStations = stations.map(tasks => [...tasks]);
+            sinceImprove = 0;
+        } else {
+            sinceImprove++;
+        }
+    }
+
+    let result = solution;
+    if (bestStdev < initialStdev - 1e-9) {
+        result = new Solution(bestStations.map((tasks, i) => rebuild(tasks, i)));
+        result.cycleTime = solution.cycleTime;
+        validateSolution(result, config);
+        if (result.isValid) {
+            calculateAllScores(result, config);
+        } else {
+            result = solution;
+        }
+    }
+
+    return {
+        solution: result,
+        initialStdev,
+        stdev: getSolutionStatistics(result, config).stdev,
+        iterations
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * MOLB Game Tool - Two-Sided Lines
+ * Builds solutions position by position, each with a mated left and right station
+ * that work on the product at the same time
+ */
+
+import { Station, Solution, TaskSide } from './models.js';
+import { getAvailableTasks, getPositionalWeight, hasCycles } from './precedence.js';
+import { canAddTaskToStation } from './feasibility.js';
+import { createRandom } from './random.js';
+
+export const TwoSidedRule = {
+    RPW: 'rpw',       // ranked positional weight
+    LPT: 'lpt',       // longest processing time
+    RANDOM: 'random'
+};
+
+/**
+ * Priority of every task under a rule; higher goes first
+ */
+function getPriorities(config, rule, random) {
+    const priorities = new Map();
+    const memo = new Map();
+
+    for (const task of config.tasks.values()) {
+        let priority;
+        if (rule === TwoSidedRule.LPT) priority = task.processingTime;
+        else if (rule === TwoSidedRule.RANDOM) priority = random();
+        else priority = getPositionalWeight(config, task.id, memo);
+
+        // Small random noise breaks ties differently on every iteration
+        priorities.set(task.id, priority * (1 + 0.05 * random()));
+    }
+    return priorities;
+}
+
+/**
+ * Build one two-sided solution
+ * The open position takes the highest-priority available task that can start and finish within
+ * the takt time on an allowed side, on the side where it finishes first; station restrictions
+ * count positions. Starting a task waits
+ * for its predecessors in the mated station. When nothing fits, the next position opens.
+ * @param {ProblemConfig} config
+ * @param {string} rule - TwoSidedRule
+ * @param {() => number} random
+ * @returns {Solution} incomplete if a task fits no empty station
+ */
+export function generateTwoSidedSolution(config, rule = TwoSidedRule.RPW, random = createRandom(1)) {
+    const priorities = getPriorities(config, rule, random);
+    const assigned = new Set();
+    const stations = [];
+
+    for (let position = 1; assigned.size < config.tasks.size; position++) {
+        const lanes = [TaskSide.LEFT, TaskSide.RIGHT].map(side => {
+            const station = new Station(`P${position}-${side}`);
+            station.position = position;
+            station.side = side;
+            return { station, side, time: 0 };
+        });
+        const finish = new Map(); // task id -> finish time at this position
+
+        while (true) {
+            let best = null;
+
+            for (const task of getAvailableTasks(config, assigned)) {
+                for (const lane of lanes) {
+                    if (task.side && task.side !== TaskSide.EITHER && task.side !== lane.side) continue;
+                    if (!canAddTaskToStation(task, lane.station, config, assigned, position).canAdd) continue;
+
+                    // Wait for predecessors in the mated station
+                    const ready = Math.max(0, ...(config.precedence.get(task.id) || [])
+                        .filter(p => finish.has(p))
+                        .map(p => finish.get(p)));
+                    const start = Math.max(lane.time, ready);
+                    const end = start + task.processingTime;
+                    if (end > config.taktTime) continue;
+
+                    // Tasks that cannot go any later than this position come first
+                    const due = config.getStationWindow(task.id).latest <= position;
+                    const priority = priorities.get(task.id);
+                    if (!best || (due && !best.due) || (due === best.due &&
+                        (priority > best.priority || (priority === best.priority && end < best.end)))) {
+                        best = { task, lane, end, priority, due };
+                    }
+                }
+            }
+            if (!best) break;
+
+            best.lane.station.addTask(best.task);
+            best.lane.time = best.end;
+            finish.set(best.task.id, best.end);
+            assigned.add(best.task.id);
+        }
+
+        const used = lanes.map(lane => lane.station).filter(station => station.tasks.length > 0);
+        // A task that does not fit an empty position can never be placed
+        if (used.length === 0) break;
+        stations.push(...used);
+    }
+
+    const solution = new Solution(stations);
+    solution.method = `two-sided:${rule}`;
+    return solution;
+}
+
+/**
+ * Run the two-sided construction a number of times
+ * @param {ProblemConfig} config - with lineType two-sided
+ * @param {Object} options
+ * @param {string} options.rule - TwoSidedRule, or 'all'
+ * @param {number} options.iterations - constructions per rule
+ * @param {number} options.seed
+ * @returns {{solutions: Solution[], error: string|null}} distinct solutions, not yet validated or scored
+ */
+export function runTwoSided(config, options = {}) {
+    const { rule = 'all', iterations = 50, seed = 1 } = options;
+    const result = { solutions: [], error: null };
+
+    if (config.tasks.size === 0) {
+        result.error = 'Geen taken om te balanceren';
+    } else if (hasCycles(config)) {
+        result.error = 'Precedence graph bevat een cyclus';
+    }
+    if (result.error) return result;
+
+    const random = createRandom(seed);
+    const rules = rule === 'all' ? Object.values(TwoSidedRule) : [rule];
+    const seen = new Set();
+
+    for (const r of rules) {
+        for (let i = 0; i < iterations; i++) {
+            const solution = generateTwoSidedSolution(config, r, random);
+            if (seen.has(solution.getHash())) continue;
+            seen.add(solution.getHash());
+            result.solutions.push(solution);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,157 @@
+/**
+ * MOLB Game Tool - Worker Assignment
+ * Assembly line worker assignment (ALWABP): builds stations one at a time and staffs each
+ * with one worker of the roster, whose own task times decide what fits the station
+ */
+
+import { Station, Solution } from './models.js';
+import { getAvailableTasks, getPositionalWeight, hasCycles } from './precedence.js';
+import { canAddTaskToStation } from './feasibility.js';
+import { createRandom } from './random.js';
+
+export const WorkerRule = {
+    LOAD: 'load',             // the worker who can take the most work in the station
+    EFFICIENCY: 'efficiency'  // the worker who is fastest relative to the best worker for the tasks
+};
+
+/**
+ * Fastest time any roster worker has for a task (Infinity if nobody can do it)
+ */
+function getBestTime(config, task) {
+    return Math.min(...config.workers.map(w => config.getWorkerTime(task, w)));
+}
+
+/**
+ * Fill one station for a worker: repeatedly add the available task with the highest
+ * priority, scaled by how fast this worker is at it compared with the best worker
+ * @returns {Station}
+ */
+function fillStation(config, worker, number, assigned, priorities, bestTimes) {
+    const station = new Station(`WS${number}`);
+    station.worker = worker;
+    const taken = new Set(assigned);
+
+    while (true) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const task of getAvailableTasks(config, taken)) {
+            if (!canAddTaskToStation(task, station, config, taken, number).canAdd) continue;
+            let score = priorities.get(task.id) * bestTimes.get(task.id) / config.getWorkerTime(task, worker);
+            // Tasks that cannot go any later than this station come first
+            if (config.getStationWindow(task.id).latest <= number) score += 1e9;
+            if (score > bestScore) {
+                best = task;
+                bestScore = score;
+            }
+        }
+        if (!best) break;
+
+        station.addTask(best);
+        taken.add(best.id);
+    }
+
+    return station;
+}
+
+/**
+ * Whether the remaining tasks can each still be done by a remaining worker
+ */
+function remainingCovered(config, unassigned, workers) {
+    return unassigned.every(task => workers.some(w => isFinite(config.getWorkerTime(task, w))));
+}
+
+/**
+ * Build one solution
+ * Every free worker gets a trial load for the open station; the rule (with a little noise) picks
+ * which worker keeps it.
+ * A load is skipped if it would leave a task that none of the other free workers can do.
+ * @param {ProblemConfig} config - with a worker roster
+ * @param {string} rule - WorkerRule
+ * @param {() => number} random
+ * @returns {Solution} incomplete if the workers run out
+ */
+export function generateWorkerSolution(config, rule = WorkerRule.LOAD, random = createRandom(1)) {
+    const memo = new Map();
+    const priorities = new Map();
+    const bestTimes = new Map();
+    for (const task of config.tasks.values()) {
+        // Random noise gives every iteration a different task order
+        priorities.set(task.id, getPositionalWeight(config, task.id, memo) * (1 + 0.2 * random()));
+        bestTimes.set(task.id, getBestTime(config, task));
+    }
+
+    const assigned = new Set();
+    const free = [...config.workers];
+    const stations = [];
+
+    while (assigned.size < config.tasks.size && free.length > 0) {
+        let choice = null;
+
+        for (const worker of free) {
+            const station = fillStation(config, worker, stations.length + 1, assigned, priorities, bestTimes);
+            if (station.tasks.length === 0) continue;
+
+            const ids = new Set(station.getTaskIds());
+            const others = free.filter(w => w !== worker);
+            const unassigned = config.getTaskList().filter(t => !assigned.has(t.id) && !ids.has(t.id));
+            if (unassigned.length > 0 && !remainingCovered(config, unassigned, others)) continue;
+
+            const standard = station.tasks.reduce((sum, t) => sum + bestTimes.get(t.id), 0);
+            const score = (rule === WorkerRule.EFFICIENCY
+                ? standard / config.getStationTime(station)
+                : standard) * (1 + 0.1 * random());
+            if (!choice || score > choice.score) choice = { station, worker, score };
+        }
+        if (!choice) break;
+
+        stations.push(choice.station);
+        choice.station.getTaskIds().forEach(taskId => assigned.add(taskId));
+        free.splice(free.indexOf(choice.worker), 1);
+    }
+
+    const solution = new Solution(stations);
+    solution.method = `workers:${rule}`;
+    return solution;
+}
+
+/**
+ * Run the worker-assignment construction a number of times
+ * @param {ProblemConfig} config - with a worker roster
+ * @param {Object} options
+ * @param {string} options.rule - WorkerRule, or 'all'
+ * @param {number} options.iterations - constructions per rule
+ * @param {number} options.seed
+ * @returns {{solutions: Solution[], error: string|null}} distinct solutions, not yet validated or scored
+ */
+export function runWorkerAssignment(config, options = {}) {
+    const { rule = 'all', iterations = 50, seed = 1 } = options;
+    const result = { solutions: [], error: null };
+
+    if (config.tasks.size === 0) {
+        result.error = 'Geen taken om te balanceren';
+    } else if (config.workers.length === 0) {
+        result.error = 'Geen werknemers in het rooster';
+    } else if (hasCycles(config)) {
+        result.error = 'Precedence graph bevat een cyclus';
+    } else {
+        const impossible = config.getTaskList().find(t => !isFinite(getBestTime(config, t)));
+        if (impossible) result.error = `Geen werknemer kan taak ${impossible.id} uitvoeren`;
+    }
+    if (result.error) return result;
+
+    const random = createRandom(seed);
+    const rules = rule === 'all' ? Object.values(WorkerRule) : [rule];
+    const seen = new Set();
+
+    for (const r of rules) {
+        for (let i = 0; i < iterations; i++) {
+            const solution = generateWorkerSolution(config, r, random);
+            if (seen.has(solution.getHash())) continue;
+            seen.add(solution.getHash());
+            result.solutions.push(solution);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,53 @@
+/**
+ * MOLB Game Tool - Ant Colony Optimization tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, ProblemConfig } from '../src/models.js';
+import { checkFeasibility } from '../src/feasibility.js';
+import { runAntColony, PheromoneUpdate } from '../src/aco.js';
+import { generateAllSolutions, HeuristicType } from '../src/heuristics.js';
+
+/**
+ * Ten tasks in a diamond-shaped graph, with two tool types
+ */
+function diamondInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 10; i++) {
+        config.addTask(new Task(`T${i}`, 3 + (i * 3) % 5, `M${i % 2 + 1}`, 1));
+    }
+    [[1, 2], [1, 3], [1, 4], [2, 5], [3, 6], [4, 7], [5, 8], [6, 8], [7, 9], [8, 10], [9, 10]]
+        .forEach(([from, to]) => config.addPrecedence(`T${from}`, `T${to}`));
+    config.setToolLimit('M1', 3);
+    config.setToolLimit('M2', 3);
+    config.taktTime = 12;
+    return config;
+}
+
+const hashes = (solutions) => solutions.map(s => s.getHash());
+
+test('runAntColony returns distinct feasible solutions for both pheromone updates', () => {
+    const config = diamondInstance();
+    for (const update of [PheromoneUpdate.WEIGHTED, PheromoneUpdate.PARETO]) {
+        const solutions = runAntColony(config, { ants: 5, iterations: 5, update });
+        assert.ok(solutions.length > 0, update);
+        assert.equal(new Set(hashes(solutions)).size, solutions.length, update);
+        for (const solution of solutions) {
+            assert.ok(checkFeasibility(solution, config).isValid, update);
+            assert.ok(solution.scores.weighted > 0, update);
+        }
+    }
+});
+
+test('runAntColony gives the same solutions for the same seed', () => {
+    const first = runAntColony(diamondInstance(), { ants: 5, iterations: 5, seed: 4 });
+    const second = runAntColony(diamondInstance(), { ants: 5, iterations: 5, seed: 4 });
+    assert.deepEqual(hashes(first), hashes(second));
+});
+
+test('generateAllSolutions runs the ant colony unless it is turned off', () => {
+    const methods = (options) => generateAllSolutions(diamondInstance(), { iterations: 10, ...options }).map(s => s.method);
+    assert.ok(methods({}).includes(HeuristicType.ACO));
+    assert.ok(!methods({ useACO: false }).includes(HeuristicType.ACO));
+});
@@ -0,0 +1,77 @@
+/**
+ * MOLB Game Tool - Exhaustive Enumeration tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Solution, ProblemConfig } from '../src/models.js';
+import { generateAllSolutions } from '../src/heuristics.js';
+import { validateSolution } from '../src/feasibility.js';
+import { calculateAllScores } from '../src/objectives.js';
+import { dominates, hypervolume } from '../src/pareto.js';
+import { enumerateParetoFront, compareFronts } from '../src/enumeration.js';
+
+/**
+ * Eight tasks on two tools with a little precedence
+ */
+function smallInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 8; i++) {
+        config.addTask(new Task(`T${i}`, 3 + (i * 5) % 7, `M${i % 2 + 1}`, 1 + i % 3));
+    }
+    [[1, 3], [2, 3], [3, 6], [4, 7], [6, 8]].forEach(([from, to]) => config.addPrecedence(`T${from}`, `T${to}`));
+    config.setToolLimit('M1', 2);
+    config.setToolLimit('M2', 2);
+    config.taktTime = 15;
+    return config;
+}
+
+test('enumerateParetoFront returns a complete, non-dominated front', () => {
+    const config = smallInstance();
+    const result = enumerateParetoFront(config);
+
+    assert.equal(result.error, null);
+    assert.equal(result.isComplete, true);
+    assert.ok(result.assignments >= result.paretoFront.length);
+    for (const a of result.paretoFront) {
+        assert.ok(a.isValid);
+        assert.ok(result.paretoFront.every(b => !dominates(b, a)));
+    }
+});
+
+test('no heuristic solution beats the exact front', () => {
+    const config = smallInstance();
+    const { paretoFront } = enumerateParetoFront(config);
+
+    for (const solution of generateAllSolutions(config, { iterations: 50 })) {
+        validateSolution(solution, config);
+        if (!solution.isValid) continue;
+        calculateAllScores(solution, config);
+        assert.ok(!paretoFront.some(exact => dominates(solution, exact)));
+    }
+});
+
+test('enumerateParetoFront refuses instances over the task limit', () => {
+    const result = enumerateParetoFront(smallInstance(), { maxTasks: 5 });
+    assert.match(result.error, /Te veel taken/);
+    assert.deepEqual(result.paretoFront, []);
+});
+
+test('compareFronts measures coverage and hypervolume against the exact front', () => {
+    const { paretoFront } = enumerateParetoFront(smallInstance());
+
+    const same = compareFronts(paretoFront, paretoFront);
+    assert.equal(same.coverage, 1);
+    assert.equal(same.hypervolumeGap, 0);
+
+    const partial = compareFronts(paretoFront, paretoFront.slice(0, 1));
+    assert.equal(partial.found, 1);
+    assert.equal(partial.missing.length, paretoFront.length - 1);
+    assert.ok(partial.hypervolume <= partial.exactHypervolume);
+});
+
+test('hypervolume of a single point is the box it spans', () => {
+    const solution = new Solution();
+    solution.scores = { economic: 0.5, social: 0.4, environmental: 0.25, weighted: 0 };
+    assert.ok(Math.abs(hypervolume([solution]) - 0.05) < 1e-12);
+});
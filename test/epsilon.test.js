@@ -0,0 +1,59 @@
+/**
+ * MOLB Game Tool - Epsilon-Constraint tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, ProblemConfig } from '../src/models.js';
+import { runEpsilonConstraint } from '../src/epsilon.js';
+
+/**
+ * Forty tasks in four chains of ten: enough work for every sampled station count
+ */
+function chainsInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 40; i++) {
+        config.addTask(new Task(`T${i}`, 4 + (i * 5) % 6, `M${i % 3 + 1}`, 1));
+        if (i % 10 !== 1) config.addPrecedence(`T${i - 1}`, `T${i}`);
+    }
+    ['M1', 'M2', 'M3'].forEach(tool => config.setToolLimit(tool, 4));
+    config.taktTime = 30;
+    config.maxStdev = 20;
+    return config;
+}
+
+const OPTIONS = { seed: 1, maxStdev: 20, maxTime: 30, toolVariety: 3, gridSize: 3, iterations: 40 };
+
+const meets = (solution, bounds) => Object.entries(bounds).every(([key, bound]) => solution.scores[key] >= bound);
+
+test('runEpsilonConstraint fills a grid over the two secondary objectives', () => {
+    const progress = [];
+    const result = runEpsilonConstraint(chainsInstance(), { ...OPTIONS, primary: 'social' }, (p) => progress.push(p));
+
+    assert.equal(result.error, null);
+    assert.equal(result.grid.primary, 'social');
+    assert.deepEqual([result.grid.rows, result.grid.columns], ['economic', 'environmental']);
+    assert.equal(result.grid.cells.length, 9);
+    assert.equal(progress.length, 9);
+    assert.equal(progress.at(-1).done, progress.at(-1).total);
+
+    assert.equal(result.infeasibleCells, result.grid.cells.filter(c => c.value === null).length);
+    assert.ok(result.infeasibleCells < 9);
+    assert.ok(result.solutions.length > 0);
+    assert.ok(result.solutions.every(s => s.isValid));
+});
+
+test('every filled cell has a solution that meets its bounds', () => {
+    const result = runEpsilonConstraint(chainsInstance(), OPTIONS);
+    for (const cell of result.grid.cells.filter(c => c.value !== null)) {
+        assert.ok(result.solutions.some(s => meets(s, cell.bounds)));
+    }
+});
+
+test('every cell shows the best returned solution within its bounds', () => {
+    const result = runEpsilonConstraint(chainsInstance(), OPTIONS);
+    for (const cell of result.grid.cells) {
+        const scores = result.solutions.filter(s => meets(s, cell.bounds)).map(s => s.scores[result.grid.primary]);
+        assert.equal(cell.value, scores.length > 0 ? Math.max(...scores) : null);
+    }
+});
@@ -0,0 +1,114 @@
+/**
+ * MOLB Game Tool - Exact Solver tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, ProblemConfig } from '../src/models.js';
+import { solveMinStations, solveMinCycleTime } from '../src/exact.js';
+
+/**
+ * Build a config from [id, time, tool] rows and [from, to] precedence pairs
+ */
+function buildConfig(rows, arcs, taktTime) {
+    const config = new ProblemConfig();
+    rows.forEach(([id, time, tool]) => config.addTask(new Task(id, time, tool, 1)));
+    arcs.forEach(([from, to]) => config.addPrecedence(from, to));
+    config.setToolLimit('M1', 10);
+    config.setToolLimit('M2', 10);
+    config.taktTime = taktTime;
+    return config;
+}
+
+/**
+ * 40 tasks with only 10 precedence relations and a cycle time that fits many tasks per station:
+ * the number of maximal station loads per node is enormous
+ */
+function sparseWideInstance(cycleTime) {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 40; i++) {
+        config.addTask(new Task(`T${i}`, 3 + (i * 7) % 11, 'M1', 1));
+    }
+    for (let i = 1; i <= 10; i++) {
+        config.addPrecedence(`T${i}`, `T${i + 30}`);
+    }
+    config.setToolLimit('M1', 40);
+    config.taktTime = cycleTime;
+    return config;
+}
+
+test('solveMinStations proves an optimum above the capacity bound', () => {
+    // 16s of work fits two 10s stations, but the chain forces three
+    const config = buildConfig([['T1', 5, 'M1'], ['T2', 6, 'M1'], ['T3', 5, 'M1']], [['T1', 'T2'], ['T2', 'T3']], 10);
+    const result = solveMinStations(config);
+
+    assert.equal(result.error, null);
+    assert.equal(result.numStations, 3);
+    assert.equal(result.isOptimal, true);
+    assert.equal(result.lowerBound, 3);
+    assert.equal(result.gap, 0);
+    assert.deepEqual(result.solution.stations.map(s => s.getTaskIds()), [['T1'], ['T2'], ['T3']]);
+});
+
+test('solveMinStations packs unrelated tasks into the fewest stations', () => {
+    const config = buildConfig([['T1', 7, 'M1'], ['T2', 3, 'M2'], ['T3', 6, 'M1'], ['T4', 4, 'M2']], [], 10);
+    const result = solveMinStations(config);
+
+    assert.equal(result.numStations, 2);
+    assert.equal(result.isOptimal, true);
+    assert.ok(result.solution.stations.every(s => s.totalTime <= 10));
+});
+
+test('solveMinStations reports a task longer than the takt time', () => {
+    const config = buildConfig([['T1', 12, 'M1'], ['T2', 3, 'M1']], [], 10);
+    const result = solveMinStations(config);
+
+    assert.equal(result.solution, null);
+    assert.ok(result.error);
+});
+
+test('solveMinStations refuses a cyclic precedence graph', () => {
+    const config = buildConfig([['T1', 3, 'M1'], ['T2', 3, 'M1']], [['T1', 'T2'], ['T2', 'T1']], 10);
+    const result = solveMinStations(config);
+
+    assert.equal(result.solution, null);
+    assert.match(result.error, /cyclus/);
+});
+
+test('solveMinCycleTime finds the best split of a chain over a fixed station count', () => {
+    // Splits of 3-8-2-5 over two stations give 15, 11 or 13; the capacity bound is only 9
+    const config = buildConfig([['T1', 3, 'M1'], ['T2', 8, 'M1'], ['T3', 2, 'M1'], ['T4', 5, 'M1']],
+        [['T1', 'T2'], ['T2', 'T3'], ['T3', 'T4']], 20);
+    const result = solveMinCycleTime(config, 2);
+
+    assert.equal(result.error, null);
+    assert.equal(result.cycleTime, 11);
+    assert.equal(result.isOptimal, true);
+    assert.equal(result.solution.cycleTime, 11);
+    assert.deepEqual(result.solution.stations.map(s => s.getTaskIds()), [['T1', 'T2'], ['T3', 'T4']]);
+});
+
+test('solveMinCycleTime balances unrelated tasks evenly', () => {
+    const config = buildConfig([['T1', 7, 'M1'], ['T2', 3, 'M2'], ['T3', 6, 'M1'], ['T4', 4, 'M2']], [], 20);
+    const result = solveMinCycleTime(config, 2);
+
+    assert.equal(result.cycleTime, 10);
+    assert.equal(result.isOptimal, true);
+    assert.equal(result.solution.stations.length, 2);
+});
+
+test('solveMinStations honours the time limit on a sparse graph with a wide cycle time', () => {
+    for (const cycleTime of [60, 75, 90]) {
+        const start = Date.now();
+        const result = solveMinStations(sparseWideInstance(cycleTime), { timeLimit: 1000 });
+        assert.ok(Date.now() - start < 3000, `cycle time ${cycleTime} took ${Date.now() - start} ms`);
+        assert.equal(result.error, null);
+    }
+});
+
+test('solveMinStations stops inside the load enumeration once the deadline passes', () => {
+    const start = Date.now();
+    const result = solveMinStations(sparseWideInstance(90), { timeLimit: 1 });
+    assert.ok(Date.now() - start < 1000);
+    assert.ok(result.solution === null || result.numStations >= result.lowerBound);
+});
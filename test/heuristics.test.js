@@ -0,0 +1,138 @@
+/**
+ * MOLB Game Tool - Heuristics tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Solution, ProblemConfig } from '../src/models.js';
+import { checkFeasibility } from '../src/feasibility.js';
+import { generateSolution, generateAllSolutions, HeuristicType, LoadingDirection } from '../src/heuristics.js';
+import { getSolutionStatistics } from '../src/objectives.js';
+import { createRandom } from '../src/random.js';
+
+/**
+ * Fifteen tasks, mostly unrelated, so the randomized rules have many orders to choose from
+ */
+function looseInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 15; i++) {
+        config.addTask(new Task(`T${i}`, 2 + (i * 7) % 9, `M${i % 3 + 1}`, 1));
+    }
+    [[1, 6], [2, 7], [3, 8], [6, 11], [7, 12]].forEach(([from, to]) => config.addPrecedence(`T${from}`, `T${to}`));
+    config.setToolLimit('M1', 3);
+    config.setToolLimit('M2', 3);
+    config.setToolLimit('M3', 3);
+    config.taktTime = 18;
+    return config;
+}
+
+const hashes = (solutions) => solutions.map(s => s.getHash());
+
+test('createRandom repeats its sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const first = Array.from({ length: 5 }, () => a());
+    assert.deepEqual(first, Array.from({ length: 5 }, () => b()));
+    assert.ok(first.every(x => x >= 0 && x < 1));
+});
+
+test('randomized rules give the same solution for the same random source', () => {
+    const config = looseInstance();
+    for (const heuristic of [HeuristicType.RANDOM, HeuristicType.HYBRID]) {
+        const a = generateSolution(config, heuristic, createRandom(5));
+        const b = generateSolution(config, heuristic, createRandom(5));
+        assert.equal(a.getHash(), b.getHash(), heuristic);
+        assert.ok(checkFeasibility(a, config).isValid, heuristic);
+    }
+});
+
+test('generateAllSolutions is reproducible per seed', () => {
+    const config = looseInstance();
+    const first = generateAllSolutions(config, { seed: 3, iterations: 60 });
+    const second = generateAllSolutions(config, { seed: 3, iterations: 60 });
+    const other = generateAllSolutions(config, { seed: 4, iterations: 60 });
+
+    assert.deepEqual(hashes(first), hashes(second));
+    assert.notDeepEqual(hashes(first), hashes(other));
+});
+
+const NEW_RULES = [HeuristicType.RPW, HeuristicType.COMSOAL, HeuristicType.MOODIE_YOUNG, HeuristicType.KILBRIDGE_WESTER];
+
+test('every line balancing rule builds a feasible solution labelled with its method', () => {
+    const config = looseInstance();
+    for (const heuristic of NEW_RULES) {
+        const solution = generateSolution(config, heuristic, createRandom(2));
+        assert.equal(solution.method, heuristic);
+        assert.ok(checkFeasibility(solution, config).isValid, heuristic);
+    }
+});
+
+test('RPW follows positional weight where Kilbridge-Wester follows precedence columns', () => {
+    // A (2s) leads to C (6s), so A outweighs B (5s); both A and B are in the first column
+    const config = new ProblemConfig();
+    config.addTask(new Task('A', 2, 'M1', 1));
+    config.addTask(new Task('B', 5, 'M1', 1));
+    config.addTask(new Task('C', 6, 'M1', 1));
+    config.addPrecedence('A', 'C');
+    config.setToolLimit('M1', 3);
+    config.taktTime = 8;
+
+    const loads = (heuristic) => generateSolution(config, heuristic).stations.map(s => s.getTaskIds().join(''));
+    assert.deepEqual(loads(HeuristicType.RPW), ['AC', 'B']);
+    assert.deepEqual(loads(HeuristicType.KILBRIDGE_WESTER), ['BA', 'C']);
+});
+
+test('Moodie-Young trading never roughens the largest-candidate workload', () => {
+    const config = looseInstance();
+    const largest = generateSolution(config, HeuristicType.LPT);
+    const traded = generateSolution(config, HeuristicType.MOODIE_YOUNG);
+
+    assert.equal(traded.stations.length, largest.stations.length);
+    assert.ok(getSolutionStatistics(traded, config).stdev <= getSolutionStatistics(largest, config).stdev);
+    assert.ok(checkFeasibility(traded, config).isValid);
+});
+
+test('the method label survives a JSON round trip', () => {
+    const config = looseInstance();
+    const solution = generateSolution(config, HeuristicType.RPW);
+    const back = Solution.fromJSON(JSON.parse(JSON.stringify(solution.toJSON())), config.tasks);
+    assert.equal(back.method, HeuristicType.RPW);
+});
+
+test('backward loading fills the last station first', () => {
+    // A (5s) feeds B and C (3s each): forward A takes B along, backward B and C share a station
+    const config = new ProblemConfig();
+    config.addTask(new Task('A', 5, 'M1', 1));
+    config.addTask(new Task('B', 3, 'M1', 1));
+    config.addTask(new Task('C', 3, 'M1', 1));
+    config.addPrecedence('A', 'B');
+    config.addPrecedence('A', 'C');
+    config.setToolLimit('M1', 3);
+    config.taktTime = 8;
+
+    const loads = (direction) => generateSolution(config, HeuristicType.LPT, createRandom(1), direction)
+        .stations.map(s => s.getTaskIds().sort().join(''));
+    assert.deepEqual(loads(LoadingDirection.FORWARD), ['AB', 'C']);
+    assert.deepEqual(loads(LoadingDirection.BACKWARD), ['A', 'BC']);
+});
+
+test('every rule loads feasibly in every direction and records it', () => {
+    const config = looseInstance();
+    for (const heuristic of [HeuristicType.LPT, HeuristicType.WEIGHT, ...NEW_RULES]) {
+        for (const direction of [LoadingDirection.BACKWARD, LoadingDirection.BIDIRECTIONAL]) {
+            const solution = generateSolution(config, heuristic, createRandom(3), direction);
+            assert.equal(solution.method, `${heuristic}:${direction}`);
+            assert.ok(checkFeasibility(solution, config).isValid, solution.method);
+            assert.equal(solution.stations.reduce((n, s) => n + s.tasks.length, 0), 15);
+        }
+    }
+});
+
+test('generateAllSolutions runs the rules in each requested direction', () => {
+    const solutions = generateAllSolutions(looseInstance(), {
+        iterations: 60,
+        directions: [LoadingDirection.FORWARD, LoadingDirection.BACKWARD]
+    });
+    assert.ok(solutions.some(s => s.method.endsWith(':backward')));
+    assert.ok(solutions.some(s => !s.method.includes(':')));
+});
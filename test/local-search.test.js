@@ -0,0 +1,86 @@
+/**
+ * MOLB Game Tool - Local Search tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { validateSolution } from '../src/feasibility.js';
+import { calculateAllScores } from '../src/objectives.js';
+import { generateWorkerSolution } from '../src/workers.js';
+import { improveSolution, improveParetoFront, AcceptanceType } from '../src/local-search.js';
+
+/**
+ * Six unrelated 5s tasks split 1-5 over two stations of a 30s takt time: one station fits them all
+ */
+function unevenSolution() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 6; i++) {
+        config.addTask(new Task(`T${i}`, 5, `M${i % 2 + 1}`, 1));
+    }
+    config.setToolLimit('M1', 6);
+    config.setToolLimit('M2', 6);
+    config.taktTime = 30;
+
+    const tasks = config.getTaskList();
+    const solution = new Solution([tasks.slice(0, 1), tasks.slice(1)].map((load, i) => {
+        const station = new Station(`WS${i + 1}`);
+        load.forEach(t => station.addTask(t));
+        return station;
+    }));
+    validateSolution(solution, config);
+    calculateAllScores(solution, config);
+    return { config, solution };
+}
+
+/**
+ * Ten unrelated tasks and three workers who are each slow at a different third of them
+ */
+function rosterInstance() {
+    const config = new ProblemConfig();
+    config.workers = ['W1', 'W2', 'W3'];
+    for (let i = 1; i <= 10; i++) {
+        const task = new Task(`T${i}`, 6 + i % 4, `M${i % 2 + 1}`, 1);
+        task.workerTimes = Object.fromEntries(config.workers.map((w, k) =>
+            [w, i % 3 === k ? task.processingTime * 2 : task.processingTime]));
+        config.addTask(task);
+    }
+    config.setToolLimit('M1', 10);
+    config.setToolLimit('M2', 10);
+    config.taktTime = 30;
+    return config;
+}
+
+test('improveSolution raises the weighted score of a poor solution', () => {
+    const { config, solution } = unevenSolution();
+    for (const acceptance of [AcceptanceType.HILL_CLIMBING, AcceptanceType.SIMULATED_ANNEALING]) {
+        const result = improveSolution(solution, config, { acceptance, iterations: 300 });
+        assert.ok(result.improvement.weighted > 0, acceptance);
+        assert.ok(result.solution.stations.length < solution.stations.length, acceptance);
+
+        validateSolution(result.solution, config);
+        assert.ok(result.solution.isValid, acceptance);
+    }
+});
+
+test('improveParetoFront only returns solutions that got better', () => {
+    const { config, solution } = unevenSolution();
+    const result = improveParetoFront([solution], config, { iterations: 300 });
+    assert.equal(result.improved, 1);
+    assert.ok(result.solutions[0].scores.weighted > solution.scores.weighted);
+    assert.ok(result.improvement.weighted > 0);
+});
+
+test('improveSolution improves a staffed line and keeps the station workers', () => {
+    const config = rosterInstance();
+    const solution = generateWorkerSolution(config);
+    validateSolution(solution, config);
+    assert.ok(solution.isValid);
+    calculateAllScores(solution, config);
+
+    const result = improveSolution(solution, config, { acceptance: AcceptanceType.SIMULATED_ANNEALING, iterations: 300 });
+    assert.notEqual(result.solution, solution);
+    assert.ok(result.solution.isValid);
+    assert.ok(result.improvement.weighted > 0);
+    assert.ok(result.solution.stations.every(s => s.worker !== null));
+});
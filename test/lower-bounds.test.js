@@ -0,0 +1,44 @@
+/**
+ * MOLB Game Tool - Lower Bounds tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, ProblemConfig } from '../src/models.js';
+import { solveMinStations } from '../src/exact.js';
+import {
+    capacityBound, halfCycleBound, thirdCycleBound, binPackingBound, toolLowerBound, computeLowerBounds
+} from '../src/lower-bounds.js';
+
+test('the classic bounds count work and large tasks', () => {
+    assert.equal(capacityBound([5, 6, 7], 10), 2);
+    // Three tasks over c/2 each need a station, two of exactly c/2 can share one
+    assert.equal(halfCycleBound([6, 6, 6, 5, 5], 10), 4);
+    // Three tasks over c/3 never fit three to a station
+    assert.equal(thirdCycleBound([4, 4, 4], 10), 2);
+    assert.equal(binPackingBound([6, 6, 4, 4, 4], 10), 3);
+    assert.equal(binPackingBound([], 10), 0);
+});
+
+test('toolLowerBound spreads each tool over its station limit', () => {
+    const limits = new Map([['M1', 2], ['M2', 4]]);
+    assert.equal(toolLowerBound(['M1', 'M1', 'M1', 'M2', 'M3'], limits), 2);
+    assert.equal(toolLowerBound(['M3', 'M3'], limits), 0);
+});
+
+test('computeLowerBounds never exceeds the exact station count', () => {
+    for (const taktTime of [10, 12, 15]) {
+        const config = new ProblemConfig();
+        for (let i = 1; i <= 9; i++) {
+            config.addTask(new Task(`T${i}`, 2 + (i * 4) % 8, `M${i % 2 + 1}`, 1));
+            if (i % 3 !== 1) config.addPrecedence(`T${i - 1}`, `T${i}`);
+        }
+        config.setToolLimit('M1', 2);
+        config.setToolLimit('M2', 3);
+        config.taktTime = taktTime;
+
+        const bounds = computeLowerBounds(config);
+        assert.equal(bounds.best, Math.max(bounds.lb1, bounds.lb2, bounds.lb3, bounds.binPacking, bounds.tools));
+        assert.ok(bounds.best <= solveMinStations(config).numStations, `takt ${taktTime}`);
+    }
+});
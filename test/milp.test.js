@@ -0,0 +1,81 @@
+/**
+ * MOLB Game Tool - MILP Export tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, ProblemConfig } from '../src/models.js';
+import { buildMilpModel, exportLP, exportMPS, importMilpSolution, MilpObjective } from '../src/milp.js';
+
+/**
+ * Three tasks, T1 before T3, with a tool limit that actually binds
+ */
+function smallInstance() {
+    const config = new ProblemConfig();
+    config.addTask(new Task('T1', 4, 'M1', 1));
+    config.addTask(new Task('T2', 5, 'M1', 1));
+    config.addTask(new Task('T3', 3, 'M2', 1));
+    config.addPrecedence('T1', 'T3');
+    config.setToolLimit('M1', 1);
+    config.setToolLimit('M2', 2);
+    config.taktTime = 10;
+    return config;
+}
+
+test('buildMilpModel has assignment, takt, tool and precedence rows', () => {
+    const model = buildMilpModel(smallInstance(), { maxStations: 2 });
+    const names = model.constraints.map(c => c.name);
+
+    ['assign_T1', 'assign_T2', 'assign_T3', 'takt_1', 'takt_2', 'tool_M1_1', 'prec_T1_T3', 'order_2']
+        .forEach(name => assert.ok(names.includes(name), name));
+    // M2 has room for all its users, so it needs no row
+    assert.ok(!names.includes('tool_M2_1'));
+    assert.equal(model.binaries.length, 3 * 2 + 2);
+    assert.deepEqual(model.objective, [['y_1', 1], ['y_2', 1]]);
+});
+
+test('the cycle-time objective minimizes the cycle variable', () => {
+    const model = buildMilpModel(smallInstance(), { objective: MilpObjective.CYCLE_TIME, maxStations: 2 });
+    assert.deepEqual(model.objective, [['c', 1]]);
+});
+
+test('exportLP and exportMPS write every constraint', () => {
+    const config = smallInstance();
+    const lp = exportLP(config, { maxStations: 2 });
+    const mps = exportMPS(config, { maxStations: 2 });
+
+    assert.match(lp, /^Minimize/m);
+    assert.match(lp, /^Binary/m);
+    assert.match(lp, /End\n$/);
+    assert.match(mps, /^ROWS/m);
+    assert.match(mps, /ENDATA\n$/);
+    for (const { name } of buildMilpModel(config, { maxStations: 2 }).constraints) {
+        assert.ok(lp.includes(`${name}:`), name);
+        assert.ok(mps.includes(name), name);
+    }
+});
+
+test('importMilpSolution reads a column listing into stations', () => {
+    const config = smallInstance();
+    const text = [
+        'Column name   Activity',
+        'x_T1_1        1',
+        'x_T3_1        1',
+        'x_T2_2        1',
+        'x_T2_1        0',
+        'y_1           1'
+    ].join('\n');
+    const solution = importMilpSolution(text, config, 2);
+    assert.deepEqual(solution.stations.map(s => s.getTaskIds()), [['T1', 'T3'], ['T2']]);
+});
+
+test('importMilpSolution reads a CPLEX XML solution', () => {
+    const text = '<variable name="x_T1_2" index="0" value="1"/><variable name="x_T2_1" index="1" value="1"/>' +
+        '<variable name="x_T3_2" index="2" value="1"/>';
+    const solution = importMilpSolution(text, smallInstance(), 2);
+    assert.deepEqual(solution.stations.map(s => s.getTaskIds()), [['T2'], ['T1', 'T3']]);
+});
+
+test('importMilpSolution rejects a file without assignment variables', () => {
+    assert.throws(() => importMilpSolution('Optimal objective 2', smallInstance(), 2), /toewijzingsvariabelen/);
+});
@@ -0,0 +1,148 @@
+/**
+ * MOLB Game Tool - Mixed-model tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig, parseVariantValues } from '../src/models.js';
+import { checkFeasibility, canAddTaskToStation, validateSolution } from '../src/feasibility.js';
+import { generateSolution, HeuristicType } from '../src/heuristics.js';
+import { runSolver } from '../src/solvers.js';
+import { enumerateParetoFront } from '../src/enumeration.js';
+import { smoothWorkload } from '../src/tabu.js';
+
+/**
+ * Two tasks only variant X needs and two only variant Y needs: on average any two tasks fill
+ * the 10s takt time, but a station may hold only one of each kind
+ */
+function splitMixInstance() {
+    const config = new ProblemConfig();
+    config.addTask(new Task('A', 5, 'M1', 1, { X: 10, Y: 0 }));
+    config.addTask(new Task('B', 5, 'M1', 1, { X: 10, Y: 0 }));
+    config.addTask(new Task('C', 5, 'M1', 1, { X: 0, Y: 10 }));
+    config.addTask(new Task('D', 5, 'M1', 1, { X: 0, Y: 10 }));
+    config.setToolLimit('M1', 4);
+    config.taktTime = 10;
+    config.setVariants(new Map([['X', 1], ['Y', 1]]));
+    return config;
+}
+
+function solutionOf(config, loads) {
+    return new Solution(loads.map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+test('parseVariantValues reads a product mix', () => {
+    assert.deepEqual(parseVariantValues('A=60, B=40; C:5'), new Map([['A', 60], ['B', 40], ['C', 5]]));
+    assert.deepEqual(parseVariantValues('A=x, =3, B=-1'), new Map());
+    assert.deepEqual(parseVariantValues(''), new Map());
+});
+
+test('mixed-model tasks take the demand-weighted average time', () => {
+    const config = new ProblemConfig();
+    config.addTask(new Task('T1', 10, 'M1', 1, { A: 16, B: 4 }));
+    config.addTask(new Task('T2', 7, 'M1', 1));
+    config.setVariants(new Map([['A', 3], ['B', 1]]));
+
+    assert.equal(config.tasks.get('T1').processingTime, 13);
+    assert.equal(config.tasks.get('T2').processingTime, 7);
+    assert.deepEqual(config.getVariantTimes(config.getTaskList()), new Map([['A', 23], ['B', 11]]));
+});
+
+test('a station overloaded by one variant is infeasible even when the average fits', () => {
+    const config = splitMixInstance();
+
+    const paired = checkFeasibility(solutionOf(config, [['A', 'B'], ['C', 'D']]), config);
+    assert.equal(paired.isValid, false);
+    assert.ok(paired.errors.some(e => e.includes('variant X')));
+    assert.ok(paired.errors.some(e => e.includes('variant Y')));
+
+    assert.equal(checkFeasibility(solutionOf(config, [['A', 'C'], ['B', 'D']]), config).isValid, true);
+});
+
+test('stations only take a task when every variant still fits', () => {
+    const config = splitMixInstance();
+    const station = new Station('WS1');
+    station.addTask(config.tasks.get('A'));
+
+    assert.equal(canAddTaskToStation(config.tasks.get('B'), station, config, new Set(['A'])).canAdd, false);
+    assert.equal(canAddTaskToStation(config.tasks.get('C'), station, config, new Set(['A'])).canAdd, true);
+
+    const solution = generateSolution(config, HeuristicType.LPT);
+    assert.equal(solution.stations.length, 2);
+    assert.ok(checkFeasibility(solution, config).isValid);
+});
+
+test('the product mix and variant times survive a JSON round trip', () => {
+    const copy = ProblemConfig.fromJSON(JSON.parse(JSON.stringify(splitMixInstance().toJSON())));
+    assert.deepEqual(copy.variants, new Map([['X', 1], ['Y', 1]]));
+    assert.deepEqual(copy.tasks.get('C').variantTimes, { X: 0, Y: 10 });
+    assert.equal(copy.tasks.get('C').processingTime, 5);
+});
+
+test('clearing the product mix gives mixed-model tasks their own time back', () => {
+    const config = new ProblemConfig();
+    config.addTask(new Task('T1', 10, 'M1', 1, { A: 16, B: 4 }));
+    config.addTask(new Task('T2', 7, 'M1', 1));
+
+    config.setVariants(new Map([['A', 3], ['B', 1]]));
+    assert.equal(config.tasks.get('T1').processingTime, 13);
+
+    const copy = ProblemConfig.fromJSON(JSON.parse(JSON.stringify(config.toJSON())));
+    assert.equal(copy.tasks.get('T1').processingTime, 13);
+
+    for (const c of [config, copy]) {
+        c.setVariants(new Map());
+        assert.equal(c.tasks.get('T1').processingTime, 10);
+        assert.equal(c.tasks.get('T2').processingTime, 7);
+    }
+});
+
+test('exact solvers balance every variant within the cycle time', () => {
+    const config = splitMixInstance();
+    for (const [id, options] of [['exact-stations', {}], ['exact-cycle', { stations: 2 }]]) {
+        const result = runSolver(id, config, options);
+        assert.equal(result.error, null, id);
+        assert.equal(result.solutions.length, 1, id);
+        assert.equal(result.solutions[0].stations.length, 2, id);
+        assert.equal(result.metadata.isOptimal, true, id);
+    }
+});
+
+test('enumeration keeps the balanced split when the averages would allow any pairing', () => {
+    const result = enumerateParetoFront(splitMixInstance());
+    assert.equal(result.isComplete, true);
+    assert.ok(result.paretoFront.some(solution => solution.stations.length === 2));
+    for (const solution of result.paretoFront) {
+        for (const station of solution.stations) {
+            const ids = station.tasks.map(t => t.id).join('');
+            assert.ok(!['AB', 'CD'].includes(ids), ids);
+        }
+    }
+});
+
+test('tabu search only moves tasks where every variant still fits', () => {
+    const config = new ProblemConfig();
+    config.addTask(new Task('A', 5, 'M1', 1, { X: 0, Y: 10 }));
+    config.addTask(new Task('B', 4, 'M1', 1, { X: 8, Y: 0 }));
+    config.addTask(new Task('C', 2, 'M1', 1, { X: 4, Y: 0 }));
+    config.setToolLimit('M1', 4);
+    config.taktTime = 10;
+    config.setVariants(new Map([['X', 1], ['Y', 1]]));
+
+    const solution = new Solution([['A', 'B'], ['C']].map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+    validateSolution(solution, config);
+    assert.ok(solution.isValid);
+
+    // Moving B would balance the averages best, but overloads variant X in the second station
+    const result = smoothWorkload(solution, config);
+    assert.ok(result.solution.isValid);
+    assert.deepEqual(result.solution.stations.map(s => s.tasks.map(t => t.id).sort().join('')), ['B', 'AC']);
+});
@@ -0,0 +1,57 @@
+/**
+ * MOLB Game Tool - NSGA-II tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, ProblemConfig } from '../src/models.js';
+import { checkFeasibility } from '../src/feasibility.js';
+import { dominates } from '../src/pareto.js';
+import { runNSGA2 } from '../src/nsga2.js';
+
+/**
+ * Twelve tasks in two chains with few tool types: many assignments share a score vector
+ */
+function twoChainInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 12; i++) {
+        config.addTask(new Task(`T${i}`, 4 + (i * 5) % 7, `M${i % 3 + 1}`, 1));
+    }
+    for (let i = 1; i <= 12; i++) {
+        if (i !== 6 && i !== 12) config.addPrecedence(`T${i}`, `T${i + 1}`);
+    }
+    config.taktTime = 20;
+    return config;
+}
+
+const frontKey = (front) => front
+    .map(s => s.stations.map(st => st.getTaskIds().join(',')).join('|'))
+    .join(' / ');
+
+test('runNSGA2 returns feasible, mutually non-dominated solutions', () => {
+    const config = twoChainInstance();
+    const result = runNSGA2(config, { seed: 1, populationSize: 30, generations: 15 });
+    assert.equal(result.error, null);
+    assert.ok(result.paretoFront.length > 0);
+
+    for (const a of result.paretoFront) {
+        assert.ok(checkFeasibility(a, config).isValid);
+        assert.ok(result.paretoFront.every(b => !dominates(b, a)));
+    }
+});
+
+test('runNSGA2 gives the same front for the same seed', () => {
+    const options = { seed: 7, populationSize: 20, generations: 10 };
+    const first = runNSGA2(twoChainInstance(), options);
+    const second = runNSGA2(twoChainInstance(), options);
+    assert.equal(frontKey(first.paretoFront), frontKey(second.paretoFront));
+});
+
+test('runNSGA2 returns a front without repeated score vectors', () => {
+    const result = runNSGA2(twoChainInstance(), { seed: 3, populationSize: 40, generations: 20 });
+    assert.equal(result.error, null);
+    assert.ok(result.paretoFront.length > 0);
+
+    const vectors = result.paretoFront.map(s => [s.scores.economic, s.scores.social, s.scores.environmental].join('|'));
+    assert.equal(new Set(vectors).size, vectors.length);
+});
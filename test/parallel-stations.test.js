@@ -0,0 +1,82 @@
+/**
+ * MOLB Game Tool - Parallel station tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { checkFeasibility, requiredReplicas } from '../src/feasibility.js';
+import { getSolutionStatistics } from '../src/objectives.js';
+import { generateSolution, HeuristicType } from '../src/heuristics.js';
+
+/**
+ * A 25s task followed by a 5s task, and an unrelated 8s task, on a 10s takt time
+ */
+function longTaskInstance() {
+    const config = new ProblemConfig();
+    config.addTask(new Task('A', 25, 'M1', 1));
+    config.addTask(new Task('B', 5, 'M1', 1));
+    config.addTask(new Task('C', 8, 'M1', 1));
+    config.addPrecedence('A', 'B');
+    config.setToolLimit('M1', 3);
+    config.taktTime = 10;
+    return config;
+}
+
+function solutionOf(config, loads) {
+    return new Solution(loads.map(([ids, replicas], i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        station.replicas = replicas;
+        return station;
+    }));
+}
+
+test('requiredReplicas covers the longest task', () => {
+    const config = longTaskInstance();
+    assert.equal(requiredReplicas([config.tasks.get('A')], 10), 3);
+    assert.equal(requiredReplicas([config.tasks.get('B'), config.tasks.get('C')], 10), 1);
+    assert.equal(requiredReplicas([], 10), 1);
+});
+
+test('construction replicates the station of a task longer than the takt time', () => {
+    const config = longTaskInstance();
+    const solution = generateSolution(config, HeuristicType.LPT);
+
+    const station = solution.stations.find(s => s.getTaskIds().includes('A'));
+    assert.equal(station.replicas, 3);
+    assert.ok(checkFeasibility(solution, config).isValid);
+});
+
+test('a station may only hold as much work as its copies, and only copy for long tasks', () => {
+    const config = longTaskInstance();
+    assert.equal(checkFeasibility(solutionOf(config, [[['A', 'B'], 3], [['C'], 1]]), config).isValid, true);
+
+    const single = checkFeasibility(solutionOf(config, [[['A', 'B'], 1], [['C'], 1]]), config);
+    assert.equal(single.isValid, false);
+
+    const extra = checkFeasibility(solutionOf(config, [[['A', 'B'], 3], [['C'], 2]]), config);
+    assert.equal(extra.isValid, false);
+    assert.ok(extra.errors.some(e => e.includes('parallelle stations')));
+});
+
+test('parallel copies count as stations for the statistics', () => {
+    const config = longTaskInstance();
+    const solution = solutionOf(config, [[['A', 'B'], 3], [['C'], 1]]);
+    const stats = getSolutionStatistics(solution, config);
+
+    assert.equal(stats.numStations, 2);
+    assert.equal(stats.physicalStations, 4);
+    assert.equal(stats.totalTime, 38);
+    // Each copy of the first station handles every third product
+    assert.equal(stats.maxTime, 10);
+});
+
+test('replicas are part of the hash and survive a JSON round trip', () => {
+    const config = longTaskInstance();
+    const solution = solutionOf(config, [[['A', 'B'], 3], [['C'], 1]]);
+    assert.notEqual(solution.getHash(), solutionOf(config, [[['A', 'B'], 4], [['C'], 1]]).getHash());
+
+    const back = Solution.fromJSON(JSON.parse(JSON.stringify(solution.toJSON())), config.tasks);
+    assert.deepEqual(back.stations.map(s => s.replicas), [3, 1]);
+});
@@ -0,0 +1,123 @@
+/**
+ * MOLB Game Tool - Sampling Search tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Solution, ProblemConfig } from '../src/models.js';
+import { searchParetoSolutions, runAnytimeSearch, computeStationRange } from '../src/sampling.js';
+import { computeLowerBounds } from '../src/lower-bounds.js';
+import { dominates, updateArchive } from '../src/pareto.js';
+
+/**
+ * Forty tasks in four chains of ten
+ */
+function chainsInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 40; i++) {
+        config.addTask(new Task(`T${i}`, 4 + (i * 5) % 6, `M${i % 3 + 1}`, 1));
+        if (i % 10 !== 1) config.addPrecedence(`T${i - 1}`, `T${i}`);
+    }
+    ['M1', 'M2', 'M3'].forEach(tool => config.setToolLimit(tool, 4));
+    config.taktTime = 30;
+    config.maxStdev = 20;
+    return config;
+}
+
+const OPTIONS = { seed: 2, maxStdev: 20, maxTime: 30, toolVariety: 3, acceptance: '' };
+
+test('searchParetoSolutions reports progress for every station count', () => {
+    const progress = [];
+    const result = searchParetoSolutions(chainsInstance(), OPTIONS, (p) => progress.push(p));
+
+    const { min, max } = result.stationRange;
+    assert.equal(progress.length, max - min + 1);
+    assert.equal(progress.at(-1).done, progress.at(-1).total);
+    assert.ok(progress.every((p, i) => i === 0 || p.done > progress[i - 1].done));
+    assert.equal(progress.at(-1).solutions, result.solutions.length);
+
+    assert.ok(result.paretoFront.length > 0);
+    assert.ok(result.paretoFront.every(s => s.isValid && s.scores.weighted > 0));
+});
+
+test('searchParetoSolutions gives the same front for the same seed', () => {
+    const key = (result) => result.paretoFront.map(s => s.getHash()).join(' / ');
+    assert.equal(key(searchParetoSolutions(chainsInstance(), OPTIONS)), key(searchParetoSolutions(chainsInstance(), OPTIONS)));
+});
+
+test('configs and solutions survive the trip to the worker and back', () => {
+    const config = chainsInstance();
+    const copy = ProblemConfig.fromJSON(JSON.parse(JSON.stringify(config.toJSON())));
+    assert.equal(copy.maxStdev, 20);
+    assert.equal(copy.tasks.size, 40);
+
+    const [solution] = searchParetoSolutions(copy, OPTIONS).paretoFront;
+    const back = Solution.fromJSON(JSON.parse(JSON.stringify(solution.toJSON())), config.tasks);
+    assert.equal(back.getHash(), solution.getHash());
+    assert.deepEqual(back.scores, solution.scores);
+});
+
+test('runAnytimeSearch stops at its time budget with a non-dominated archive', () => {
+    const progress = [];
+    const start = Date.now();
+    const result = runAnytimeSearch(chainsInstance(), { ...OPTIONS, timeBudget: 0.6, acceptance: 'hill-climbing' },
+        (p) => progress.push(p));
+    const elapsed = Date.now() - start;
+
+    assert.ok(elapsed >= 600 && elapsed < 3000, `${elapsed} ms`);
+    assert.ok(progress.length > 0);
+    assert.ok(result.evaluations > 0 && result.evaluationsPerSecond > 0);
+    assert.ok(result.lastChangeMs <= elapsed);
+    assert.ok(result.paretoFront.length > 0);
+    for (const a of result.paretoFront) {
+        assert.ok(result.paretoFront.every(b => !dominates(b, a)));
+    }
+});
+
+test('updateArchive keeps only non-dominated, distinct solutions', () => {
+    const scored = (id, economic, social, environmental) => {
+        const solution = new Solution();
+        solution.getHash = () => id;
+        solution.scores = { economic, social, environmental, weighted: 0 };
+        return solution;
+    };
+    const archive = [];
+
+    assert.equal(updateArchive(archive, scored('a', 0.5, 0.5, 0.5)), true);
+    assert.equal(updateArchive(archive, scored('a', 0.5, 0.5, 0.5)), false);
+    assert.equal(updateArchive(archive, scored('b', 0.4, 0.4, 0.4)), false);
+    assert.equal(updateArchive(archive, scored('c', 0.9, 0.1, 0.5)), true);
+    assert.equal(updateArchive(archive, scored('d', 0.6, 0.6, 0.6)), true);
+    assert.deepEqual(archive.map(s => s.getHash()), ['c', 'd']);
+});
+
+test('computeStationRange runs from the lower bound to half again the greedy count', () => {
+    const config = chainsInstance();
+    const range = computeStationRange(config);
+
+    assert.equal(range.isAutomatic, true);
+    assert.equal(range.min, computeLowerBounds(config).best);
+    assert.equal(range.lowerBound, range.min);
+    assert.ok(range.greedy >= range.min);
+    assert.equal(range.max, Math.min(40, Math.ceil(range.greedy * 1.5)));
+});
+
+test('computeStationRange takes overrides and keeps the maximum above the minimum', () => {
+    const config = chainsInstance();
+    const fixed = computeStationRange(config, { minStations: 12, maxStations: 14 });
+    assert.deepEqual([fixed.min, fixed.max, fixed.isAutomatic], [12, 14, false]);
+
+    const inverted = computeStationRange(config, { minStations: 20, maxStations: 15 });
+    assert.equal(inverted.max, 20);
+
+    const partial = computeStationRange(config, { minStations: 0, maxStations: 30 });
+    assert.equal(partial.min, computeLowerBounds(config).best);
+    assert.equal(partial.max, 30);
+});
+
+test('the sampled solutions stay below the requested maximum station count', () => {
+    const result = searchParetoSolutions(chainsInstance(), { ...OPTIONS, minStations: 13, maxStations: 15 });
+    assert.deepEqual([result.stationRange.min, result.stationRange.max], [13, 15]);
+    assert.ok(result.solutions.length > 0);
+    assert.ok(result.solutions.every(s => s.stations.length <= 15));
+});
@@ -0,0 +1,80 @@
+/**
+ * MOLB Game Tool - Solver Registry tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { registerSolver, getSolver, listSolvers, getDefaultOptions, runSolver } from '../src/solvers.js';
+
+/**
+ * Three unrelated 6s tasks and a 12s takt time
+ */
+function threeTasks() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 3; i++) {
+        config.addTask(new Task(`T${i}`, 6, 'M1', 1));
+    }
+    config.setToolLimit('M1', 3);
+    config.taktTime = 12;
+    return config;
+}
+
+function solutionOf(config, loads) {
+    return new Solution(loads.map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+test('the built-in solvers are registered with their defaults', () => {
+    const ids = listSolvers().map(s => s.id);
+    ['sampling', 'priority-rules', 'aco', 'nsga2', 'exact-stations', 'exact-cycle']
+        .forEach(id => assert.ok(ids.includes(id), id));
+
+    assert.equal(getSolver('exact-stations').capabilities.exact, true);
+    assert.equal(getSolver('exact-stations').capabilities.progress, false);
+    assert.deepEqual(getDefaultOptions('exact-cycle'), { stations: 8, timeLimit: 10 });
+});
+
+test('registerSolver needs an id and a run function', () => {
+    assert.throws(() => registerSolver({ id: 'broken' }), /run-functie/);
+    assert.equal(getSolver('broken'), undefined);
+});
+
+test('runSolver validates, scores and deduplicates the solutions of a solver', () => {
+    const config = threeTasks();
+    registerSolver({
+        id: 'test-fixed',
+        name: 'Vast',
+        parameters: [{ key: 'copies', type: 'number', default: 2 }],
+        run(config, options) {
+            const good = Array.from({ length: options.copies }, () => solutionOf(config, [['T1', 'T2'], ['T3']]));
+            const overloaded = solutionOf(config, [['T1', 'T2', 'T3']]);
+            return { solutions: [...good, overloaded], message: 'klaar' };
+        }
+    });
+
+    const result = runSolver('test-fixed', config, { copies: 3 });
+    assert.equal(result.error, null);
+    assert.equal(result.message, 'klaar');
+    assert.equal(result.solutions.length, 1);
+    assert.equal(result.paretoFront.length, 1);
+    assert.ok(result.solutions[0].isValid);
+    assert.ok(result.solutions[0].scores.weighted > 0);
+});
+
+test('runSolver reports an unknown solver', () => {
+    const result = runSolver('missing', threeTasks());
+    assert.match(result.error, /Onbekende solver/);
+    assert.deepEqual(result.solutions, []);
+});
+
+test('the exact solvers run through the registry', () => {
+    const result = runSolver('exact-stations', threeTasks());
+    assert.equal(result.solutions.length, 1);
+    assert.equal(result.solutions[0].stations.length, 2);
+    assert.equal(result.metadata.isOptimal, true);
+    assert.match(result.message, /Optimaal/);
+});
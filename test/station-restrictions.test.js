@@ -0,0 +1,126 @@
+/**
+ * MOLB Game Tool - Station restriction tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { generateSolution, HeuristicType, LoadingDirection } from '../src/heuristics.js';
+import { checkFeasibility, canAddTaskToStation } from '../src/feasibility.js';
+import { runSolver } from '../src/solvers.js';
+
+/**
+ * Six equal, unrelated tasks over three stations, with the first and last task pinned
+ * to the opposite ends of the line from where backward loading would put them
+ */
+function pinnedInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 6; i++) {
+        config.addTask(new Task(`T${i}`, 10, 'M1', 1));
+    }
+    config.setToolLimit('M1', 6);
+    config.taktTime = 20;
+    config.setStationRestriction('T1', { fixed: 1 });
+    config.setStationRestriction('T6', { fixed: 3 });
+    return config;
+}
+
+function solutionOf(config, loads) {
+    return new Solution(loads.map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+test('a restriction gives every task a window of allowed stations', () => {
+    const config = pinnedInstance();
+    config.setStationRestriction('T2', { earliest: 2, latest: 3, forbidden: [3] });
+
+    assert.deepEqual(config.getStationWindow('T1'), { earliest: 1, latest: 1 });
+    assert.deepEqual(config.getStationWindow('T2'), { earliest: 2, latest: 3 });
+    assert.deepEqual(config.getStationWindow('T3'), { earliest: 1, latest: Infinity });
+    assert.deepEqual([1, 2, 3].map(n => config.isStationAllowed('T2', n)), [false, true, false]);
+
+    config.setStationRestriction('T2', {});
+    assert.equal(config.stationRestrictions.has('T2'), false);
+    config.removeTask('T6');
+    assert.equal(config.stationRestrictions.has('T6'), false);
+});
+
+test('checkFeasibility explains why a task is in the wrong station', () => {
+    const config = pinnedInstance();
+    config.setStationRestriction('T2', { earliest: 2 });
+    config.setStationRestriction('T3', { latest: 2 });
+    config.setStationRestriction('T4', { forbidden: [1] });
+
+    assert.equal(checkFeasibility(solutionOf(config, [['T1', 'T5'], ['T2', 'T3'], ['T4', 'T6']]), config).isValid, true);
+
+    const errors = checkFeasibility(solutionOf(config, [['T2', 'T4'], ['T6', 'T5'], ['T3', 'T1']]), config).errors;
+    assert.ok(errors.some(e => e.includes('T1') && e.includes('hoort in station 1')));
+    assert.ok(errors.some(e => e.includes('T2') && e.includes('pas vanaf station 2')));
+    assert.ok(errors.some(e => e.includes('T3') && e.includes('uiterlijk in station 2')));
+    assert.ok(errors.some(e => e.includes('T4') && e.includes('mag daar niet staan')));
+});
+
+test('canAddTaskToStation checks the station number when it is known', () => {
+    const config = pinnedInstance();
+    const task = config.tasks.get('T6');
+    assert.match(canAddTaskToStation(task, new Station('WS1'), config, new Set(), 1).reason, /station 1/);
+    assert.equal(canAddTaskToStation(task, new Station('WS3'), config, new Set(), 3).canAdd, true);
+    assert.equal(canAddTaskToStation(task, new Station('WS1'), config, new Set()).canAdd, true);
+});
+
+test('forward loading keeps tasks in their fixed station', () => {
+    const config = pinnedInstance();
+    for (const heuristic of [HeuristicType.LPT, HeuristicType.RPW, HeuristicType.MOODIE_YOUNG]) {
+        const solution = generateSolution(config, heuristic);
+        assert.equal(solution.stations.length, 3, heuristic);
+        assert.ok(solution.stations[0].getTaskIds().includes('T1'), heuristic);
+        assert.ok(solution.stations[2].getTaskIds().includes('T6'), heuristic);
+        assert.ok(checkFeasibility(solution, config).isValid, heuristic);
+    }
+});
+
+test('station restrictions survive the JSON round trip', () => {
+    const config = pinnedInstance();
+    config.setStationRestriction('T2', { earliest: 2, forbidden: [3] });
+
+    const copy = ProblemConfig.fromJSON(JSON.parse(JSON.stringify(config.toJSON())));
+    assert.deepEqual(copy.stationRestrictions, config.stationRestrictions);
+});
+
+test('backward loading keeps tasks in their fixed station', () => {
+    const config = pinnedInstance();
+    for (const heuristic of [HeuristicType.LPT, HeuristicType.RPW, HeuristicType.MOODIE_YOUNG]) {
+        const solution = generateSolution(config, heuristic, undefined, LoadingDirection.BACKWARD);
+        assert.equal(solution.stations.length, 3);
+        assert.ok(solution.stations[0].getTaskIds().includes('T1'), heuristic);
+        assert.ok(solution.stations[2].getTaskIds().includes('T6'), heuristic);
+        assert.ok(checkFeasibility(solution, config).isValid, heuristic);
+    }
+});
+
+test('bidirectional loading respects station restrictions', () => {
+    const config = pinnedInstance();
+    const solution = generateSolution(config, HeuristicType.LPT, undefined, LoadingDirection.BIDIRECTIONAL);
+    assert.ok(checkFeasibility(solution, config).isValid);
+});
+
+test('exact solvers keep a task in its fixed station', () => {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 3; i++) {
+        config.addTask(new Task(`T${i}`, 5, 'M1', 1));
+    }
+    config.setToolLimit('M1', 3);
+    config.taktTime = 20;
+    config.setStationRestriction('T3', { fixed: 2 });
+
+    for (const [id, options] of [['exact-stations', {}], ['exact-cycle', { stations: 2 }]]) {
+        const result = runSolver(id, config, options);
+        assert.equal(result.error, null, id);
+        assert.equal(result.solutions.length, 1, id);
+        assert.ok(result.solutions[0].stations[1].getTaskIds().includes('T3'), id);
+        assert.equal(result.metadata.isOptimal, true, id);
+    }
+});
@@ -0,0 +1,143 @@
+/**
+ * MOLB Game Tool - Stochastic task time tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { checkFeasibility, validateSolution } from '../src/feasibility.js';
+import { generateSolution, HeuristicType } from '../src/heuristics.js';
+import { runSolver } from '../src/solvers.js';
+import { enumerateParetoFront } from '../src/enumeration.js';
+import { smoothWorkload } from '../src/tabu.js';
+import { normalCdf, getTaskDistribution, overloadProbability, ChanceMethod } from '../src/stochastic.js';
+
+/**
+ * Four tasks of 5s with some spread, and a 10s takt time that two of them fill exactly
+ */
+function spreadInstance() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 4; i++) {
+        const task = new Task(`T${i}`, 5, 'M1', 1);
+        task.timeStdev = 1;
+        config.addTask(task);
+    }
+    config.setToolLimit('M1', 4);
+    config.taktTime = 10;
+    config.serviceLevel = 0.9;
+    return config;
+}
+
+function stochasticTask(id, time, stdev) {
+    const task = new Task(id, time, 'M1', 1);
+    task.timeStdev = stdev;
+    return task;
+}
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} vs ${expected}`);
+
+test('normalCdf matches the standard normal table', () => {
+    close(normalCdf(0), 0.5, 1e-7);
+    close(normalCdf(1.96), 0.9750021, 1e-6);
+    close(normalCdf(-1), 0.1586553, 1e-6);
+});
+
+test('a triangular task time has the triangular mean and variance', () => {
+    const task = new Task('T1', 4, 'M1', 1);
+    task.timeRange = { min: 2, mode: 3, max: 7 };
+    const { mean, variance } = getTaskDistribution(task);
+    close(mean, 4, 1e-12);
+    close(variance, 21 / 18, 1e-12);
+});
+
+test('overloadProbability sums the task distributions of a station', () => {
+    const tasks = [stochasticTask('T1', 4, 3), stochasticTask('T2', 4, 3)];
+    // Station time ~ N(8, 18): P(> 10) = 1 - Φ(2 / √18)
+    close(overloadProbability(tasks, 10), 1 - normalCdf(2 / Math.sqrt(18)), 1e-12);
+
+    const sampled = overloadProbability(tasks, 10, ChanceMethod.MONTE_CARLO);
+    close(sampled, overloadProbability(tasks, 10), 0.05);
+    assert.equal(overloadProbability(tasks, 10, ChanceMethod.MONTE_CARLO), sampled);
+
+    const fixed = [new Task('T3', 6, 'M1', 1)];
+    assert.equal(overloadProbability(fixed, 6), 0);
+    assert.equal(overloadProbability(fixed, 5), 1);
+});
+
+test('stations that miss the service level are infeasible', () => {
+    const config = spreadInstance();
+    const paired = new Solution([['T1', 'T2'], ['T3', 'T4']].map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+
+    const result = checkFeasibility(paired, config);
+    assert.equal(result.isValid, false);
+    assert.ok(result.errors.some(e => e.includes('kans op overschrijding')));
+
+    config.serviceLevel = null;
+    assert.equal(checkFeasibility(paired, config).isValid, true);
+});
+
+test('construction leaves room for the spread of task times', () => {
+    const config = spreadInstance();
+    const solution = generateSolution(config, HeuristicType.LPT);
+    assert.equal(solution.stations.length, 4);
+    assert.ok(checkFeasibility(solution, config).isValid);
+});
+
+test('distributions and the service level survive a JSON round trip', () => {
+    const config = spreadInstance();
+    config.chanceMethod = ChanceMethod.MONTE_CARLO;
+    config.tasks.get('T2').timeRange = { min: 3, mode: 5, max: 8 };
+
+    const copy = ProblemConfig.fromJSON(JSON.parse(JSON.stringify(config.toJSON())));
+    assert.equal(copy.serviceLevel, 0.9);
+    assert.equal(copy.chanceMethod, ChanceMethod.MONTE_CARLO);
+    assert.equal(copy.tasks.get('T1').timeStdev, 1);
+    assert.deepEqual(copy.tasks.get('T2').timeRange, { min: 3, mode: 5, max: 8 });
+});
+
+test('exact solvers refuse a chance-constrained line instead of claiming an optimum', () => {
+    const config = spreadInstance();
+    for (const [id, options] of [['exact-stations', {}], ['exact-cycle', { stations: 2 }]]) {
+        const result = runSolver(id, config, options);
+        assert.equal(result.solutions.length, 0, id);
+        assert.match(result.error, /servicegraad/, id);
+    }
+});
+
+test('enumeration only closes stations that meet the service level', () => {
+    const result = enumerateParetoFront(spreadInstance());
+    assert.equal(result.isComplete, true);
+    assert.ok(result.paretoFront.length > 0);
+    for (const solution of result.paretoFront) {
+        assert.equal(solution.stations.length, 4);
+    }
+});
+
+test('tabu search only moves tasks where the station still meets the service level', () => {
+    const config = new ProblemConfig();
+    for (const [id, time, stdev] of [['A', 5, 0], ['B', 4, 0], ['C', 2, 4], ['D', 1, 0]]) {
+        const task = new Task(id, time, 'M1', 1);
+        task.timeStdev = stdev;
+        config.addTask(task);
+    }
+    config.setToolLimit('M1', 4);
+    config.taktTime = 10;
+    config.serviceLevel = 0.9;
+
+    const solution = new Solution([['A', 'B', 'D'], ['C']].map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+    validateSolution(solution, config);
+    assert.ok(solution.isValid);
+
+    // Moving B would balance the averages exactly, but the uncertain C leaves no room for it
+    const result = smoothWorkload(solution, config);
+    assert.ok(result.solution.isValid);
+    assert.deepEqual(result.solution.stations.map(s => s.tasks.map(t => t.id).sort().join('')), ['AB', 'CD']);
+});
@@ -0,0 +1,61 @@
+/**
+ * MOLB Game Tool - Tabu Search tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { validateSolution } from '../src/feasibility.js';
+import { calculateAllScores } from '../src/objectives.js';
+import { smoothWorkload } from '../src/tabu.js';
+
+/**
+ * A config of [id, time] tasks on one tool and a scored solution with the given station loads
+ */
+function buildSolution(rows, arcs, loads, taktTime) {
+    const config = new ProblemConfig();
+    rows.forEach(([id, time]) => config.addTask(new Task(id, time, 'M1', 1)));
+    arcs.forEach(([from, to]) => config.addPrecedence(from, to));
+    config.setToolLimit('M1', rows.length);
+    config.taktTime = taktTime;
+
+    const solution = new Solution(loads.map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+    validateSolution(solution, config);
+    calculateAllScores(solution, config);
+    return { config, solution };
+}
+
+const loadsOf = (solution) => solution.stations.map(s => s.getTaskIds().sort().join(''));
+
+test('smoothWorkload evens out station times without changing the station count', () => {
+    const { config, solution } = buildSolution([['A', 8], ['B', 6], ['C', 4], ['D', 2]], [], [['A', 'B'], ['C', 'D']], 20);
+    const result = smoothWorkload(solution, config);
+
+    assert.ok(result.initialStdev > 0);
+    assert.equal(result.stdev, 0);
+    assert.equal(result.solution.stations.length, 2);
+    assert.ok(result.solution.isValid);
+    assert.ok(result.solution.stations.every(s => s.totalTime === 10));
+});
+
+test('smoothWorkload keeps precedence between stations', () => {
+    // A must stay ahead of B, so the even split is {A, D} and {B, C}
+    const { config, solution } = buildSolution([['A', 8], ['B', 6], ['C', 4], ['D', 2]], [['A', 'B']],
+        [['A', 'C', 'D'], ['B']], 20);
+    const result = smoothWorkload(solution, config);
+
+    assert.equal(result.stdev, 0);
+    assert.deepEqual(loadsOf(result.solution), ['AD', 'BC']);
+});
+
+test('smoothWorkload returns a balanced solution unchanged', () => {
+    const { config, solution } = buildSolution([['A', 5], ['B', 5]], [], [['A'], ['B']], 10);
+    const result = smoothWorkload(solution, config);
+
+    assert.equal(result.solution, solution);
+    assert.equal(result.stdev, 0);
+});
@@ -0,0 +1,118 @@
+/**
+ * MOLB Game Tool - Two-sided line tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig, TaskSide } from '../src/models.js';
+import { checkFeasibility, scheduleTwoSided } from '../src/feasibility.js';
+import { LineType } from '../src/precedence.js';
+import { generateTwoSidedSolution, runTwoSided, TwoSidedRule } from '../src/two-sided.js';
+import { runSolver } from '../src/solvers.js';
+
+/**
+ * A left-side task A (6s) followed by C (4s), a right-side task B (5s) and a free task D (3s),
+ * with a 10s takt time
+ */
+function matedInstance() {
+    const config = new ProblemConfig();
+    const sides = { A: TaskSide.LEFT, B: TaskSide.RIGHT, C: TaskSide.EITHER, D: TaskSide.EITHER };
+    [['A', 6], ['B', 5], ['C', 4], ['D', 3]].forEach(([id, time]) => {
+        const task = new Task(id, time, 'M1', 1);
+        task.side = sides[id];
+        config.addTask(task);
+    });
+    config.addPrecedence('A', 'C');
+    config.setToolLimit('M1', 4);
+    config.taktTime = 10;
+    config.lineType = LineType.TWO_SIDED;
+    return config;
+}
+
+/**
+ * Build a solution from [position, side, task ids] rows
+ */
+function solutionOf(config, rows) {
+    return new Solution(rows.map(([position, side, ids]) => {
+        const station = new Station(`P${position}-${side}`);
+        station.position = position;
+        station.side = side;
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+test('a task waits for its predecessor in the mated station', () => {
+    const config = matedInstance();
+    const solution = solutionOf(config, [[1, 'L', ['A']], [1, 'R', ['C', 'B']], [2, 'L', ['D']]]);
+    const schedule = scheduleTwoSided(solution, config);
+
+    assert.equal(schedule.start.get('C'), 6);
+    assert.equal(schedule.idle.get('P1-R'), 6);
+    assert.equal(schedule.finish.get('P1-R'), 15);
+    assert.deepEqual(schedule.blocked, []);
+
+    const result = checkFeasibility(solution, config);
+    assert.equal(result.isValid, false);
+    assert.ok(result.errors.some(e => e.includes('wachten')));
+});
+
+test('two-sided feasibility checks sides and positions', () => {
+    const config = matedInstance();
+    const valid = solutionOf(config, [[1, 'L', ['A', 'C']], [1, 'R', ['B', 'D']]]);
+    assert.equal(checkFeasibility(valid, config).isValid, true);
+
+    const wrongSide = solutionOf(config, [[1, 'L', ['B', 'C']], [1, 'R', ['A', 'D']]]);
+    assert.ok(checkFeasibility(wrongSide, config).errors.some(e => e.includes('hoort aan zijde')));
+
+    const late = solutionOf(config, [[1, 'L', ['A']], [1, 'R', ['B', 'D']], [2, 'L', ['C']]]);
+    assert.equal(checkFeasibility(late, config).isValid, true);
+    const early = solutionOf(config, [[1, 'L', ['C']], [1, 'R', ['B', 'D']], [2, 'L', ['A']]]);
+    assert.ok(checkFeasibility(early, config).errors.some(e => e.includes('latere positie')));
+});
+
+test('the construction fills both sides of a position', () => {
+    const config = matedInstance();
+    for (const rule of Object.values(TwoSidedRule)) {
+        const solution = generateTwoSidedSolution(config, rule);
+        assert.equal(solution.method, `two-sided:${rule}`);
+        assert.equal(checkFeasibility(solution, config).isValid, true, rule);
+        assert.equal(solution.stations.reduce((n, s) => n + s.tasks.length, 0), 4);
+        assert.ok(solution.stations.every(s => s.tasks.every(t => t.side === TaskSide.EITHER || t.side === s.side)));
+    }
+    assert.equal(new Set(generateTwoSidedSolution(config).stations.map(s => s.position)).size, 1);
+});
+
+test('runTwoSided returns distinct solutions and reports cycles', () => {
+    const result = runTwoSided(matedInstance(), { iterations: 10, seed: 3 });
+    assert.equal(result.error, null);
+    const hashes = result.solutions.map(s => s.getHash());
+    assert.equal(new Set(hashes).size, hashes.length);
+
+    const cyclic = matedInstance();
+    cyclic.addPrecedence('C', 'A');
+    assert.match(runTwoSided(cyclic).error, /cyclus/);
+});
+
+test('the two-sided solver needs a two-sided line', () => {
+    const straight = matedInstance();
+    straight.lineType = LineType.STRAIGHT;
+    assert.match(runSolver('two-sided', straight, {}).error, /Tweezijdig/);
+
+    const result = runSolver('two-sided', matedInstance(), { iterations: 5 });
+    assert.equal(result.error, null);
+    assert.ok(result.solutions.length > 0);
+    assert.ok(result.solutions.every(s => s.isValid));
+});
+
+test('sides and positions survive the JSON round trip', () => {
+    const config = ProblemConfig.fromJSON(matedInstance().toJSON());
+    assert.equal(config.tasks.get('A').side, TaskSide.LEFT);
+    assert.equal(config.tasks.get('C').side, TaskSide.EITHER);
+
+    const solution = solutionOf(config, [[1, 'L', ['A', 'C']], [1, 'R', ['B', 'D']]]);
+    const copy = Solution.fromJSON(solution.toJSON(), config.tasks);
+    assert.deepEqual(copy.stations.map(s => [s.position, s.side]), [[1, 'L'], [1, 'R']]);
+    assert.equal(copy.getHash(), solution.getHash());
+    assert.notEqual(copy.getHash(), solutionOf(config, [[1, 'R', ['A', 'C']], [1, 'L', ['B', 'D']]]).getHash());
+});
@@ -0,0 +1,76 @@
+/**
+ * MOLB Game Tool - U-line tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { checkFeasibility } from '../src/feasibility.js';
+import { isAssignable, assignULineLegs, LineType } from '../src/precedence.js';
+import { generateSolution, HeuristicType } from '../src/heuristics.js';
+
+/**
+ * A 5s-8s-5s chain and a 10s takt time: a straight line needs three stations,
+ * a U-line puts both ends of the chain in one station
+ */
+function chainInstance(lineType) {
+    const config = new ProblemConfig();
+    config.addTask(new Task('A', 5, 'M1', 1));
+    config.addTask(new Task('B', 8, 'M1', 1));
+    config.addTask(new Task('C', 5, 'M1', 1));
+    config.addPrecedence('A', 'B');
+    config.addPrecedence('B', 'C');
+    config.setToolLimit('M1', 3);
+    config.taktTime = 10;
+    config.lineType = lineType;
+    return config;
+}
+
+function solutionOf(config, loads) {
+    return new Solution(loads.map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+test('a U-line may start with the last task of the chain', () => {
+    assert.equal(isAssignable(chainInstance(LineType.U_SHAPED), 'C', new Set()), true);
+    assert.equal(isAssignable(chainInstance(LineType.STRAIGHT), 'C', new Set()), false);
+    assert.equal(isAssignable(chainInstance(LineType.U_SHAPED), 'B', new Set()), false);
+});
+
+test('assignULineLegs puts tasks on the back leg only when they have to', () => {
+    const config = chainInstance(LineType.U_SHAPED);
+    const { legs, unplaced } = assignULineLegs(solutionOf(config, [['A', 'C'], ['B']]), config);
+    assert.deepEqual(Object.fromEntries(legs), { A: 'front', C: 'back', B: 'front' });
+    assert.deepEqual(unplaced, []);
+});
+
+test('a station serving both legs is only feasible on a U-line', () => {
+    const uLine = chainInstance(LineType.U_SHAPED);
+    assert.equal(checkFeasibility(solutionOf(uLine, [['A', 'C'], ['B']]), uLine).isValid, true);
+
+    const straight = chainInstance(LineType.STRAIGHT);
+    assert.equal(checkFeasibility(solutionOf(straight, [['A', 'C'], ['B']]), straight).isValid, false);
+
+    // B waits for A on the front leg and for C on the back leg, so it cannot go first
+    const result = checkFeasibility(solutionOf(uLine, [['B'], ['A', 'C']]), uLine);
+    assert.equal(result.isValid, false);
+    assert.ok(result.errors.some(e => e.includes('U-lijn')));
+});
+
+test('construction uses the return leg to save a station', () => {
+    const straight = chainInstance(LineType.STRAIGHT);
+    assert.equal(generateSolution(straight, HeuristicType.LPT).stations.length, 3);
+
+    const uLine = chainInstance(LineType.U_SHAPED);
+    const solution = generateSolution(uLine, HeuristicType.LPT);
+    assert.equal(solution.stations.length, 2);
+    assert.ok(checkFeasibility(solution, uLine).isValid);
+});
+
+test('the line type survives a JSON round trip', () => {
+    const copy = ProblemConfig.fromJSON(JSON.parse(JSON.stringify(chainInstance(LineType.U_SHAPED).toJSON())));
+    assert.equal(copy.lineType, LineType.U_SHAPED);
+});
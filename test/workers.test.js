@@ -0,0 +1,121 @@
+/**
+ * MOLB Game Tool - Worker assignment tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig } from '../src/models.js';
+import { checkFeasibility, canAddTaskToStation } from '../src/feasibility.js';
+import { getSolutionStatistics } from '../src/objectives.js';
+import { generateWorkerSolution, runWorkerAssignment, WorkerRule } from '../src/workers.js';
+import { runSolver } from '../src/solvers.js';
+
+/**
+ * Four unrelated tasks and two workers with a 10s takt time: Anna is quick at A and B,
+ * Bram cannot do A but is quick at C and D
+ */
+function rosterInstance() {
+    const config = new ProblemConfig();
+    const times = {
+        A: [6, { Anna: 3 }],
+        B: [6, { Anna: 3, Bram: 6 }],
+        C: [4, { Anna: 8, Bram: 2 }],
+        D: [4, { Anna: 8, Bram: 2 }]
+    };
+    for (const [id, [time, workerTimes]] of Object.entries(times)) {
+        const task = new Task(id, time, 'M1', 1);
+        task.workerTimes = workerTimes;
+        config.addTask(task);
+    }
+    config.setToolLimit('M1', 4);
+    config.taktTime = 10;
+    config.workers = ['Anna', 'Bram'];
+    return config;
+}
+
+/**
+ * Build a solution from [worker, task ids] rows
+ */
+function solutionOf(config, rows) {
+    return new Solution(rows.map(([worker, ids], i) => {
+        const station = new Station(`WS${i + 1}`);
+        station.worker = worker;
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+test('a worker takes their own task times', () => {
+    const config = rosterInstance();
+    const [a, c] = ['A', 'C'].map(id => config.tasks.get(id));
+
+    assert.equal(config.getWorkerTime(a, 'Anna'), 3);
+    assert.equal(config.getWorkerTime(a, 'Bram'), Infinity);
+    assert.equal(config.getWorkerTime(a, null), 6);
+
+    const [anna] = solutionOf(config, [['Anna', ['A', 'C']]]).stations;
+    assert.equal(config.getStationTime(anna), 11);
+    anna.worker = null;
+    assert.equal(config.getStationTime(anna), 10);
+
+    const bram = new Station('WS1');
+    bram.worker = 'Bram';
+    assert.match(canAddTaskToStation(a, bram, config, new Set()).reason, /Bram/);
+    assert.equal(canAddTaskToStation(c, bram, config, new Set()).canAdd, true);
+});
+
+test('checkFeasibility holds every station to its worker', () => {
+    const config = rosterInstance();
+    assert.equal(checkFeasibility(solutionOf(config, [['Anna', ['A', 'B']], ['Bram', ['C', 'D']]]), config).isValid, true);
+
+    const errors = (rows) => checkFeasibility(solutionOf(config, rows), config).errors;
+    assert.ok(errors([['Anna', ['A', 'C']], ['Bram', ['B', 'D']]]).some(e => e.includes('11s')));
+    assert.ok(errors([['Bram', ['A', 'C']], ['Anna', ['B', 'D']]]).some(e => e.includes('kan taak A niet')));
+    assert.ok(errors([['Anna', ['A', 'B']], ['Anna', ['C', 'D']]]).some(e => e.includes('toegewezen aan')));
+    assert.ok(errors([['Anna', ['A', 'B']], ['Cor', ['C', 'D']]]).some(e => e.includes('niet in het rooster')));
+    assert.ok(errors([['Anna', ['A', 'B']], [null, ['C', 'D']]]).some(e => e.includes('geen werknemer')));
+});
+
+test('the construction staffs every station with a different worker', () => {
+    const config = rosterInstance();
+    for (const rule of Object.values(WorkerRule)) {
+        const solution = generateWorkerSolution(config, rule);
+        assert.equal(solution.method, `workers:${rule}`);
+        assert.equal(checkFeasibility(solution, config).isValid, true, rule);
+        assert.deepEqual(solution.stations.map(s => s.worker).sort(), ['Anna', 'Bram'], rule);
+        assert.ok(solution.stations.find(s => s.worker === 'Anna').getTaskIds().includes('A'), rule);
+    }
+});
+
+test('statistics use the worker times', () => {
+    const config = rosterInstance();
+    const stats = getSolutionStatistics(solutionOf(config, [['Anna', ['A', 'B']], ['Bram', ['C', 'D']]]), config);
+    assert.equal(stats.totalTime, 10);
+    assert.equal(stats.maxTime, 6);
+});
+
+test('runWorkerAssignment reports rosters that cannot work', () => {
+    const empty = rosterInstance();
+    empty.workers = [];
+    assert.match(runWorkerAssignment(empty).error, /rooster/);
+
+    const unskilled = rosterInstance();
+    unskilled.workers = ['Bram'];
+    assert.match(runWorkerAssignment(unskilled).error, /taak A/);
+
+    const result = runSolver('workers', rosterInstance(), { iterations: 5 });
+    assert.equal(result.error, null);
+    assert.ok(result.solutions.length > 0);
+    assert.ok(result.solutions.every(s => s.isValid && s.stations.every(st => st.worker)));
+});
+
+test('the roster and station workers survive the JSON round trip', () => {
+    const config = ProblemConfig.fromJSON(rosterInstance().toJSON());
+    assert.deepEqual(config.workers, ['Anna', 'Bram']);
+    assert.deepEqual(config.tasks.get('C').workerTimes, { Anna: 8, Bram: 2 });
+
+    const solution = solutionOf(config, [['Anna', ['A', 'B']], ['Bram', ['C', 'D']]]);
+    const copy = Solution.fromJSON(solution.toJSON(), config.tasks);
+    assert.deepEqual(copy.stations.map(s => s.worker), ['Anna', 'Bram']);
+    assert.equal(copy.getHash(), solution.getHash());
+});
@@ -0,0 +1,133 @@
+/**
+ * MOLB Game Tool - Zoning tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Task, Station, Solution, ProblemConfig, ZoningType } from '../src/models.js';
+import { checkFeasibility, zoningConflict, zoningAllows } from '../src/feasibility.js';
+import { generateSolution, HeuristicType } from '../src/heuristics.js';
+import { enumerateParetoFront } from '../src/enumeration.js';
+import { runSolver } from '../src/solvers.js';
+
+/**
+ * Three unrelated 5s tasks that all fit one station of the 20s takt time
+ */
+function threeTasks() {
+    const config = new ProblemConfig();
+    for (let i = 1; i <= 3; i++) {
+        config.addTask(new Task(`T${i}`, 5, 'M1', 1));
+    }
+    config.setToolLimit('M1', 5);
+    config.taktTime = 20;
+    return config;
+}
+
+function solutionOf(config, loads) {
+    return new Solution(loads.map((ids, i) => {
+        const station = new Station(`WS${i + 1}`);
+        ids.forEach(id => station.addTask(config.tasks.get(id)));
+        return station;
+    }));
+}
+
+const together = (solution, a, b) => solution.stations.some(s => s.getTaskIds().includes(a) && s.getTaskIds().includes(b));
+
+test('a pair has at most one zoning constraint', () => {
+    const config = threeTasks();
+    config.addZoning('T1', 'T2', ZoningType.SAME);
+    config.addZoning('T2', 'T1', ZoningType.APART);
+    config.addZoning('T3', 'T3', ZoningType.APART);
+
+    assert.equal(config.zoning.length, 1);
+    assert.equal(config.getZoning('T1', 'T2').type, ZoningType.APART);
+    assert.deepEqual(config.getZoningPartners('T1', ZoningType.APART), ['T2']);
+    assert.deepEqual(config.getZoningPartners('T1', ZoningType.SAME), []);
+
+    config.removeTask('T2');
+    assert.deepEqual(config.zoning, []);
+});
+
+test('checkFeasibility reports broken zoning', () => {
+    const config = threeTasks();
+    config.addZoning('T1', 'T2', ZoningType.APART);
+    config.addZoning('T1', 'T3', ZoningType.SAME);
+
+    assert.equal(checkFeasibility(solutionOf(config, [['T1', 'T3'], ['T2']]), config).isValid, true);
+
+    const errors = checkFeasibility(solutionOf(config, [['T1', 'T2'], ['T3']]), config).errors;
+    assert.ok(errors.some(e => e.includes('mogen niet samen')));
+    assert.ok(errors.some(e => e.includes('moeten in hetzelfde station')));
+});
+
+test('zoningConflict and zoningAllows check one station', () => {
+    const config = threeTasks();
+    config.addZoning('T1', 'T2', ZoningType.APART);
+    config.addZoning('T1', 'T3', ZoningType.SAME);
+    const [t1, t2, t3] = ['T1', 'T2', 'T3'].map(id => config.tasks.get(id));
+
+    assert.match(zoningConflict(t2, [t1], config, new Set(['T1'])), /T1/);
+    assert.match(zoningConflict(t3, [], config, new Set(['T1'])), /ander station/);
+    assert.equal(zoningConflict(t3, [t1], config, new Set(['T1'])), null);
+
+    assert.equal(zoningAllows([t1, t3], config), true);
+    assert.equal(zoningAllows([t1], config), false);
+    assert.equal(zoningAllows([t1, t2, t3], config), false);
+    assert.equal(zoningAllows([t2], config), true);
+});
+
+test('heuristics and enumeration respect zoning', () => {
+    const config = threeTasks();
+    config.addZoning('T1', 'T2', ZoningType.APART);
+    config.addZoning('T1', 'T3', ZoningType.SAME);
+
+    for (const heuristic of [HeuristicType.LPT, HeuristicType.RPW]) {
+        const solution = generateSolution(config, heuristic);
+        assert.equal(checkFeasibility(solution, config).isValid, true, heuristic);
+        assert.equal(together(solution, 'T1', 'T2'), false, heuristic);
+        assert.equal(together(solution, 'T1', 'T3'), true, heuristic);
+    }
+
+    const { paretoFront, error } = enumerateParetoFront(config);
+    assert.equal(error, null);
+    assert.ok(paretoFront.length > 0);
+    assert.ok(paretoFront.every(s => !together(s, 'T1', 'T2') && together(s, 'T1', 'T3')));
+});
+
+test('zoning survives the JSON round trip', () => {
+    const config = threeTasks();
+    config.addZoning('T1', 'T2', ZoningType.APART);
+    config.addZoning('T2', 'T3', ZoningType.SAME);
+
+    const copy = ProblemConfig.fromJSON(config.toJSON());
+    assert.deepEqual(copy.zoning, config.zoning);
+});
+
+const EXACT = [['exact-stations', {}], ['exact-cycle', { stations: 2 }]];
+
+test('exact solvers keep must-separate tasks apart', () => {
+    const config = threeTasks();
+    config.addZoning('T1', 'T2', ZoningType.APART);
+
+    for (const [id, options] of EXACT) {
+        const result = runSolver(id, config, options);
+        assert.equal(result.error, null, id);
+        assert.equal(result.solutions.length, 1, id);
+        assert.equal(result.solutions[0].stations.length, 2, id);
+        assert.ok(result.solutions[0].stations.every(s => !(s.getTaskIds().includes('T1') && s.getTaskIds().includes('T2'))), id);
+    }
+});
+
+test('exact solvers put must-share tasks in one station', () => {
+    const config = threeTasks();
+    config.addTask(new Task('T4', 12, 'M1', 1));
+    config.addPrecedence('T2', 'T4');
+    config.addZoning('T1', 'T4', ZoningType.SAME);
+
+    for (const [id, options] of EXACT) {
+        const result = runSolver(id, config, options);
+        assert.equal(result.error, null, id);
+        assert.equal(result.solutions.length, 1, id);
+        assert.ok(result.solutions[0].stations.some(s => s.getTaskIds().includes('T1') && s.getTaskIds().includes('T4')), id);
+    }
+});